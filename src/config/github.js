@@ -0,0 +1,98 @@
+const { ValidationError } = require("../utils/errors");
+
+const DEFAULT_HOST = "github.com";
+
+const DEFAULT_OAUTH_SCOPES = ["repo", "user:email"];
+
+// Scopes may be given as an array or a comma/space separated string
+const parseScopes = (scopes) => {
+  if (!scopes) return DEFAULT_OAUTH_SCOPES;
+
+  const list = Array.isArray(scopes) ? scopes : scopes.split(/[\s,]+/);
+  return list.map((scope) => scope.trim()).filter(Boolean);
+};
+
+// Build a host entry, deriving URLs the way GitHub Enterprise Server lays them out
+const buildHost = (config) => {
+  const host = config.host.toLowerCase();
+  const webUrl = (config.webUrl || `https://${host}`).replace(/\/$/, "");
+  const apiUrl = (
+    config.apiUrl ||
+    (host === DEFAULT_HOST ? "https://api.github.com" : `${webUrl}/api/v3`)
+  ).replace(/\/$/, "");
+
+  return {
+    host,
+    webUrl,
+    apiUrl,
+    oauthAuthorizeUrl: `${webUrl}/login/oauth/authorize`,
+    oauthTokenUrl: `${webUrl}/login/oauth/access_token`,
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    webhookSecret: config.webhookSecret,
+    appId: config.appId,
+    appPrivateKey: config.appPrivateKey,
+    appPrivateKeyPath: config.appPrivateKeyPath,
+    oauthScopes: parseScopes(config.oauthScopes),
+    // Defaults to /api/auth/github/callback on the host serving the request
+    oauthCallbackUrl: config.oauthCallbackUrl,
+    // PKCE is on by default for github.com only; older Enterprise Server
+    // versions reject the code_verifier parameter
+    oauthPkce:
+      config.oauthPkce === undefined
+        ? host === DEFAULT_HOST
+        : config.oauthPkce === true || config.oauthPkce === "true",
+  };
+};
+
+const hosts = new Map();
+
+// github.com is always available and configured through the GITHUB_* variables
+hosts.set(
+  DEFAULT_HOST,
+  buildHost({
+    host: DEFAULT_HOST,
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    webhookSecret: process.env.GITHUB_WEBHOOK_SECRET,
+    appId: process.env.GITHUB_APP_ID,
+    appPrivateKey: process.env.GITHUB_APP_PRIVATE_KEY,
+    appPrivateKeyPath: process.env.GITHUB_APP_PRIVATE_KEY_PATH,
+    oauthScopes: process.env.GITHUB_OAUTH_SCOPES,
+    oauthCallbackUrl: process.env.GITHUB_OAUTH_CALLBACK_URL,
+    oauthPkce: process.env.GITHUB_OAUTH_PKCE,
+  })
+);
+
+// Enterprise Server hosts are configured as a JSON array, e.g.
+// [{"host":"github.acme.com","clientId":"...","clientSecret":"..."}]
+if (process.env.GITHUB_ENTERPRISE_HOSTS) {
+  try {
+    JSON.parse(process.env.GITHUB_ENTERPRISE_HOSTS).forEach((config) => {
+      const entry = buildHost(config);
+      hosts.set(entry.host, entry);
+    });
+  } catch (error) {
+    console.error("❌ Invalid GITHUB_ENTERPRISE_HOSTS:", error.message);
+  }
+}
+
+const isKnownHost = (host) => hosts.has((host || "").toLowerCase());
+
+const getHost = (host = DEFAULT_HOST) => {
+  const config = hosts.get((host || DEFAULT_HOST).toLowerCase());
+  if (!config) {
+    throw new ValidationError(`Unknown GitHub host: ${host}`);
+  }
+
+  return config;
+};
+
+const getHosts = () => Array.from(hosts.values());
+
+module.exports = {
+  DEFAULT_HOST,
+  getHost,
+  getHosts,
+  isKnownHost,
+};
@@ -0,0 +1,40 @@
+const ApiResponse = require("../utils/response");
+const sessionService = require("../services/session.service");
+
+class AdminController {
+  /**
+   * Revoke any user's access token, given the token or its jti
+   * POST /api/admin/tokens/revoke
+   */
+  async revokeAccessToken(req, res, next) {
+    try {
+      const { token, jti, expiresAt } = req.body;
+
+      let revoked;
+      if (token) {
+        const decoded = sessionService.verifyAccessToken(token);
+        revoked = { jti: decoded.jti, userId: decoded.userId, exp: decoded.exp };
+      } else {
+        revoked = {
+          jti,
+          userId: null,
+          exp: expiresAt
+            ? Math.floor(new Date(expiresAt).getTime() / 1000)
+            : null,
+        };
+      }
+
+      await sessionService.revokeAccessToken(revoked.jti, revoked.exp);
+      console.log(
+        "[TOKEN_REVOKED]",
+        JSON.stringify({ jti: revoked.jti, userId: revoked.userId, by: req.user.userId })
+      );
+
+      ApiResponse.success(res, { jti: revoked.jti }, "Token revoked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -5,9 +5,13 @@ const {
   NotFoundError,
   ValidationError,
   AuthorizationError,
+  RateLimitError,
 } = require("../utils/errors");
 const analysisService = require("../services/analysis.service");
-const githubService = require("../services/github.service");
+const { getProvider } = require("../services/provider.service");
+const reviewService = require("../services/review.service");
+const workspaceService = require("../services/workspace.service");
+const { parseUploadedDiff } = require("../utils/diff");
 
 class AnalysisController {
   /**
@@ -20,35 +24,55 @@ class AnalysisController {
       const { prNumber } = req.body;
       const userId = req.user.userId;
 
-      // 1. Verify repository ownership
-      const repository = await prisma.repository.findFirst({
-        where: {
-          id: repositoryId,
-          userId: userId,
-          isActive: true,
-        },
-      });
-
-      if (!repository) {
-        throw new NotFoundError("Repository not found or access denied");
-      }
+      // 1. The repository was loaded by the permission middleware
+      const repository = req.repository;
 
-      // 2. Verify repository access with GitHub
-      const hasAccess = await githubService.verifyRepoAccess(
+      // 2. Verify repository access with its provider
+      const provider = getProvider(repository);
+      const accessCheck = await provider.verifyRepoAccess(
         repository.fullName,
-        req.user.githubId
+        userId
       );
 
-      if (!hasAccess) {
-        throw new AuthorizationError("No access to this repository on GitHub");
+      if (!accessCheck.hasAccess) {
+        throw new AuthorizationError(
+          accessCheck.error || "No access to this repository"
+        );
       }
 
-      // 3. Check if analysis already exists for this PR
+      // 3. Verify PR exists on the provider and resolve its head commit
+      let prInfo;
+      try {
+        prInfo = await provider.getPRInfo(
+          repository.fullName,
+          prNumber,
+          userId
+        );
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          throw error;
+        }
+
+        throw new ValidationError(
+          `Unable to access pull request #${prNumber}: ${error.message}`
+        );
+      }
+
+      if (!prInfo) {
+        throw new ValidationError(
+          `Pull request #${prNumber} not found in ${repository.fullName}`
+        );
+      }
+
+      const headSha = prInfo.head.sha;
+
+      // 4. Check if the head commit has already been analyzed
       const existingAnalysis = await prisma.analysis.findUnique({
         where: {
-          repositoryId_prNumber: {
+          repositoryId_prNumber_commitSha: {
             repositoryId: repositoryId,
             prNumber: prNumber,
+            commitSha: headSha,
           },
         },
       });
@@ -58,7 +82,8 @@ class AnalysisController {
         if (existingAnalysis.status === "COMPLETED") {
           const analysisWithSuggestions =
             await analysisService.getAnalysisWithSuggestions(
-              existingAnalysis.id
+              existingAnalysis.id,
+              userId
             );
 
           return ApiResponse.success(
@@ -66,6 +91,7 @@ class AnalysisController {
             {
               analysisId: existingAnalysis.id,
               status: existingAnalysis.status,
+              commitSha: headSha,
               analysis: analysisWithSuggestions,
             },
             "Analysis already exists"
@@ -82,83 +108,243 @@ class AnalysisController {
             {
               analysisId: existingAnalysis.id,
               status: existingAnalysis.status,
+              commitSha: headSha,
               createdAt: existingAnalysis.createdAt,
             },
             "Analysis is already in progress"
           );
         }
+      }
 
-        // If previous analysis failed, we can create a new one
-        if (existingAnalysis.status === "FAILED") {
-          await prisma.analysis.delete({
-            where: { id: existingAnalysis.id },
+      // 5. Create an analysis for the head commit, or retry a failed one
+      const analysis = existingAnalysis
+        ? await analysisService.rerunAnalysis(existingAnalysis.id)
+        : await analysisService.createAnalysis({
+            repositoryId: repositoryId,
+            userId: userId,
+            prNumber: prNumber,
+            commitSha: headSha,
+            status: "PENDING",
+            totalLines: null,
           });
-        }
+
+      // 6. Start background processing (non-blocking)
+      if (!existingAnalysis) {
+        analysisService.enqueueAnalysis(analysis.id);
       }
 
-      // 4. Verify PR exists on GitHub
-      try {
-        const prInfo = await githubService.getPRInfo(
-          repository.fullName,
-          prNumber
+      // 7. Invalidate the analyses caches of everyone who can see it
+      await analysisService.invalidateAnalysisCache(analysis.id);
+
+      // 8. Return analysis ID immediately
+      ApiResponse.accepted(
+        res,
+        {
+          analysisId: analysis.id,
+          status: "PENDING",
+          repositoryName: repository.name,
+          prNumber: prNumber,
+          commitSha: headSha,
+          createdAt: analysis.createdAt,
+          estimatedTime: "2-5 minutes",
+        },
+        "Analysis started successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an analysis of the changes between two refs (branches, tags or
+   * commits) of a repository
+   * POST /api/analyses/repositories/:id/compare
+   */
+  async createCompareAnalysis(req, res, next) {
+    try {
+      const { id: repositoryId } = req.params;
+      const { base, head } = req.body;
+      const userId = req.user.userId;
+
+      // 1. The repository was loaded by the permission middleware
+      const repository = req.repository;
+
+      // 2. Verify repository access with its provider
+      const provider = getProvider(repository);
+      const accessCheck = await provider.verifyRepoAccess(
+        repository.fullName,
+        userId
+      );
+
+      if (!accessCheck.hasAccess) {
+        throw new AuthorizationError(
+          accessCheck.error || "No access to this repository"
         );
-        if (!prInfo) {
-          throw new ValidationError(
-            `Pull request #${prNumber} not found in ${repository.fullName}`
-          );
-        }
-      } catch (error) {
+      }
+
+      // 3. Pin both refs to commits so the analysis describes a fixed range
+      const [baseSha, headSha] = await Promise.all(
+        [base, head].map((ref) =>
+          provider.resolveCommit(repository.fullName, ref, userId)
+        )
+      );
+
+      if (!baseSha) {
         throw new ValidationError(
-          `Unable to access pull request #${prNumber}: ${error.message}`
+          `Base ref "${base}" not found in ${repository.fullName}`
         );
       }
 
-      // 5. Create analysis record
-      const analysisData = {
-        repositoryId: repositoryId,
-        userId: userId,
-        prNumber: prNumber,
-        commitSha: "", // Will be updated during processing
-        status: "PENDING",
-        totalLines: null,
-      };
+      if (!headSha) {
+        throw new ValidationError(
+          `Head ref "${head}" not found in ${repository.fullName}`
+        );
+      }
 
-      const analysis = await analysisService.createAnalysis(analysisData);
+      if (baseSha === headSha) {
+        throw new ValidationError("Base and head point to the same commit");
+      }
 
-      // 6. Start background processing (non-blocking)
-      setImmediate(async () => {
-        try {
-          await analysisService.processAnalysis(
-            analysis.id,
-            repositoryId,
-            prNumber,
-            repository.fullName
+      // 4. Check if the commit range has already been analyzed
+      const existingAnalysis = await prisma.analysis.findUnique({
+        where: {
+          repositoryId_baseSha_commitSha: {
+            repositoryId: repositoryId,
+            baseSha: baseSha,
+            commitSha: headSha,
+          },
+        },
+      });
+
+      if (existingAnalysis) {
+        if (existingAnalysis.status === "COMPLETED") {
+          const analysisWithSuggestions =
+            await analysisService.getAnalysisWithSuggestions(
+              existingAnalysis.id,
+              userId
+            );
+
+          return ApiResponse.success(
+            res,
+            {
+              analysisId: existingAnalysis.id,
+              status: existingAnalysis.status,
+              baseSha: baseSha,
+              commitSha: headSha,
+              analysis: analysisWithSuggestions,
+            },
+            "Analysis already exists"
           );
-        } catch (error) {
-          console.error(
-            `Analysis processing failed for ${analysis.id}:`,
-            error
+        }
+
+        if (
+          existingAnalysis.status === "PROCESSING" ||
+          existingAnalysis.status === "PENDING"
+        ) {
+          return ApiResponse.accepted(
+            res,
+            {
+              analysisId: existingAnalysis.id,
+              status: existingAnalysis.status,
+              baseSha: baseSha,
+              commitSha: headSha,
+              createdAt: existingAnalysis.createdAt,
+            },
+            "Analysis is already in progress"
           );
+        }
+      }
 
-          // Update analysis status to failed
-          await analysisService.updateAnalysisStatus(analysis.id, "FAILED");
+      // 5. Create an analysis for the range, or retry a failed one
+      const analysis = existingAnalysis
+        ? await analysisService.rerunAnalysis(existingAnalysis.id)
+        : await analysisService.createAnalysis({
+            repositoryId: repositoryId,
+            userId: userId,
+            type: "COMPARE",
+            baseRef: base,
+            headRef: head,
+            baseSha: baseSha,
+            commitSha: headSha,
+            status: "PENDING",
+            totalLines: null,
+          });
 
-          // Optionally, you can emit a WebSocket event here for real-time updates
-          // this.emitAnalysisUpdate(analysis.id, 'FAILED', error.message);
-        }
-      });
+      // 6. Start background processing (non-blocking)
+      if (!existingAnalysis) {
+        analysisService.enqueueAnalysis(analysis.id);
+      }
 
-      // 7. Invalidate user analyses cache
-      await redis.del(`user:analyses:${userId}`);
+      // 7. Invalidate the analyses caches of everyone who can see it
+      await analysisService.invalidateAnalysisCache(analysis.id);
 
-      // 8. Return analysis ID immediately
       ApiResponse.accepted(
         res,
         {
           analysisId: analysis.id,
           status: "PENDING",
+          type: "COMPARE",
           repositoryName: repository.name,
-          prNumber: prNumber,
+          baseRef: base,
+          headRef: head,
+          baseSha: baseSha,
+          commitSha: headSha,
+          createdAt: analysis.createdAt,
+          estimatedTime: "2-5 minutes",
+        },
+        "Analysis started successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an analysis of an uploaded unified diff or git format-patch
+   * mailbox, without a connected repository
+   * POST /api/analyses/uploads
+   */
+  async createUploadAnalysis(req, res, next) {
+    try {
+      const { diff, title } = req.body;
+      const userId = req.user.userId;
+
+      // 1. Parse up front so uploads without reviewable changes are rejected
+      const diffData = parseUploadedDiff(diff);
+
+      if (diffData.files.length === 0) {
+        throw new ValidationError(
+          "The uploaded diff contains no reviewable file changes"
+        );
+      }
+
+      // 2. Store the patch itself, it is parsed again when processed
+      const analysis = await analysisService.createAnalysis({
+        userId: userId,
+        type: "UPLOAD",
+        title: title || diffData.pr.title,
+        uploadedDiff: diff,
+        commitSha: diffData.pr.head.sha,
+        status: "PENDING",
+        totalLines: null,
+      });
+
+      // 3. Start background processing (non-blocking)
+      analysisService.enqueueAnalysis(analysis.id);
+
+      // 4. Invalidate the analyses caches of everyone who can see it
+      await analysisService.invalidateAnalysisCache(analysis.id);
+
+      ApiResponse.accepted(
+        res,
+        {
+          analysisId: analysis.id,
+          status: "PENDING",
+          type: "UPLOAD",
+          title: analysis.title,
+          commitSha: analysis.commitSha,
+          changedFiles: diffData.pr.changed_files,
+          skippedFiles: diffData.skipped_files,
           createdAt: analysis.createdAt,
           estimatedTime: "2-5 minutes",
         },
@@ -169,6 +355,56 @@ class AnalysisController {
     }
   }
 
+  /**
+   * List every analysis of a pull request, one per analyzed head commit
+   * GET /api/analyses/repositories/:id/pulls/:prNumber
+   */
+  async getPullRequestAnalyses(req, res, next) {
+    try {
+      const { id: repositoryId, prNumber } = req.params;
+
+      // Repository access is checked by the permission middleware
+      const analyses = await analysisService.getPullRequestAnalyses(
+        repositoryId,
+        parseInt(prNumber)
+      );
+
+      ApiResponse.success(
+        res,
+        {
+          repository: {
+            id: req.repository.id,
+            name: req.repository.name,
+            fullName: req.repository.fullName,
+          },
+          prNumber: parseInt(prNumber),
+          latestCommitSha: analyses[0]?.commitSha || null,
+          analyses,
+        },
+        "Pull request analyses retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the status of an analysis, including why it is waiting
+   * GET /api/analyses/:id/status
+   */
+  async getAnalysisStatus(req, res, next) {
+    try {
+      const status = await analysisService.getAnalysisStatus(
+        req.params.id,
+        req.user.userId
+      );
+
+      ApiResponse.success(res, status, "Analysis status retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get analysis results with suggestions
    * GET /api/analyses/:id
@@ -185,11 +421,6 @@ class AnalysisController {
       if (cached) {
         const cachedData = JSON.parse(cached);
 
-        // Verify user has access to this analysis
-        if (cachedData.userId !== userId) {
-          throw new AuthorizationError("Access denied to this analysis");
-        }
-
         return ApiResponse.success(
           res,
           cachedData,
@@ -199,33 +430,42 @@ class AnalysisController {
 
       // 2. Query analysis with suggestions from database
       const analysis = await analysisService.getAnalysisWithSuggestions(
-        analysisId
+        analysisId,
+        userId
       );
 
       if (!analysis) {
         throw new NotFoundError("Analysis not found");
       }
 
-      // 3. Verify user ownership
-      if (analysis.userId !== userId) {
-        throw new AuthorizationError("Access denied to this analysis");
-      }
-
-      // 4. Format response data
+      // 3. Format response data, with changes since the previous analysis
+      const previousAnalysis =
+        await analysisService.getPreviousAnalysis(analysis);
       const responseData = {
         id: analysis.id,
         repositoryId: analysis.repositoryId,
-        repository: {
+        repository: analysis.repository && {
           id: analysis.repository.id,
           name: analysis.repository.name,
           fullName: analysis.repository.fullName,
         },
+        type: analysis.type,
+        title: analysis.title,
         prNumber: analysis.prNumber,
+        baseRef: analysis.baseRef,
+        headRef: analysis.headRef,
+        baseSha: analysis.baseSha,
         commitSha: analysis.commitSha,
         status: analysis.status,
+        waitReason: analysis.waitReason,
+        resumeAt: analysis.resumeAt,
         totalLines: analysis.totalLines,
+        skippedFiles: analysis.skippedFiles || [],
+        isIncremental: analysis.isIncremental,
+        baseAnalysisId: analysis.baseAnalysisId,
         createdAt: analysis.createdAt,
         completedAt: analysis.completedAt,
+        publishedAt: analysis.publishedAt,
         suggestions: analysis.suggestions.map((suggestion) => ({
           id: suggestion.id,
           filePath: suggestion.filePath,
@@ -235,6 +475,8 @@ class AnalysisController {
           message: suggestion.message,
           suggestion: suggestion.suggestion,
           codeSnippet: suggestion.codeSnippet,
+          githubCommentId: suggestion.githubCommentId,
+          carriedForward: suggestion.carriedForward,
         })),
         summary: {
           totalSuggestions: analysis.suggestions.length,
@@ -247,6 +489,12 @@ class AnalysisController {
           lowSeverity: analysis.suggestions.filter((s) => s.severity === "LOW")
             .length,
           categories: this.groupSuggestionsByCategory(analysis.suggestions),
+          changes: previousAnalysis
+            ? analysisService.summarizeChanges(
+                previousAnalysis.suggestions,
+                analysis.suggestions
+              )
+            : null,
         },
       };
 
@@ -268,6 +516,32 @@ class AnalysisController {
     }
   }
 
+  /**
+   * Compare an analysis with an earlier one of the same pull request
+   * GET /api/analyses/:id/compare?baseId=
+   */
+  async compareAnalyses(req, res, next) {
+    try {
+      const { id: analysisId } = req.params;
+      const { baseId } = req.query;
+      const userId = req.user.userId;
+
+      const comparison = await analysisService.compareAnalyses(
+        analysisId,
+        baseId,
+        userId
+      );
+
+      ApiResponse.success(
+        res,
+        comparison,
+        "Analyses compared successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get user's analyses with pagination
    * GET /api/analyses
@@ -280,6 +554,8 @@ class AnalysisController {
         limit = 10,
         status,
         repositoryId,
+        type,
+        workspaceId,
         sortBy = "createdAt",
         sortOrder = "desc",
       } = req.query;
@@ -291,7 +567,9 @@ class AnalysisController {
       // Build cache key
       const cacheKey = `user:analyses:${userId}:${pageNum}:${limitNum}:${
         status || "all"
-      }:${repositoryId || "all"}:${sortBy}:${sortOrder}`;
+      }:${repositoryId || "all"}:${type || "all"}:${
+        workspaceId || "all"
+      }:${sortBy}:${sortOrder}`;
 
       // 1. Check cache first
       const cached = await redis.get(cacheKey);
@@ -304,10 +582,8 @@ class AnalysisController {
         );
       }
 
-      // 2. Build where clause
-      const whereClause = {
-        userId: userId,
-      };
+      // 2. Build where clause over every workspace the user belongs to
+      const whereClause = workspaceService.analysisAccessWhere(userId);
 
       if (status) {
         whereClause.status = status.toUpperCase();
@@ -317,6 +593,14 @@ class AnalysisController {
         whereClause.repositoryId = repositoryId;
       }
 
+      if (type) {
+        whereClause.type = type;
+      }
+
+      if (workspaceId) {
+        whereClause.repository = { workspaceId };
+      }
+
       // 3. Build order clause
       const validSortFields = [
         "createdAt",
@@ -360,7 +644,11 @@ class AnalysisController {
       const formattedAnalyses = analyses.map((analysis) => ({
         id: analysis.id,
         repository: analysis.repository,
+        type: analysis.type,
+        title: analysis.title,
         prNumber: analysis.prNumber,
+        baseRef: analysis.baseRef,
+        headRef: analysis.headRef,
         commitSha: analysis.commitSha,
         status: analysis.status,
         totalLines: analysis.totalLines,
@@ -389,6 +677,7 @@ class AnalysisController {
         filters: {
           status,
           repositoryId,
+          type,
         },
         sort: {
           field: sortField,
@@ -412,38 +701,25 @@ class AnalysisController {
   async deleteAnalysis(req, res, next) {
     try {
       const { id: analysisId } = req.params;
-      const userId = req.user.userId;
-
-      // 1. Verify analysis exists and user owns it
-      const analysis = await prisma.analysis.findUnique({
-        where: { id: analysisId },
-        select: { id: true, userId: true, status: true },
-      });
-
-      if (!analysis) {
-        throw new NotFoundError("Analysis not found");
-      }
 
-      if (analysis.userId !== userId) {
-        throw new AuthorizationError("Access denied to this analysis");
-      }
-
-      // 2. Prevent deletion of processing analyses
-      if (analysis.status === "PROCESSING") {
+      // 1. Prevent deletion of processing analyses (the permission
+      // middleware loaded the analysis)
+      if (req.analysis.status === "PROCESSING") {
         throw new ValidationError(
           "Cannot delete analysis that is currently processing"
         );
       }
 
-      // 3. Delete analysis (cascades to suggestions)
+      // 2. Delete analysis (cascades to suggestions)
       await prisma.analysis.delete({
         where: { id: analysisId },
       });
 
-      // 4. Clear related caches
+      // 3. Clear related caches, including every workspace member's lists
       await Promise.all([
         redis.del(`analysis:${analysisId}`),
-        redis.del(`user:analyses:${userId}`),
+        redis.del(`analysis:full:${analysisId}`),
+        analysisService.invalidateViewerCaches(req.analysis),
       ]);
 
       ApiResponse.success(res, null, "Analysis deleted successfully");
@@ -459,7 +735,10 @@ class AnalysisController {
   async getAnalysisStats(req, res, next) {
     try {
       const userId = req.user.userId;
-      const cacheKey = `user:stats:${userId}`;
+      const { workspaceId } = req.query;
+      const cacheKey = workspaceId
+        ? `user:stats:${userId}:${workspaceId}`
+        : `user:stats:${userId}`;
 
       // 1. Check cache first
       const cached = await redis.get(cacheKey);
@@ -471,7 +750,15 @@ class AnalysisController {
         );
       }
 
-      // 2. Get statistics from database
+      // 2. Get statistics from database, across the user's workspaces or
+      // for a single workspace
+      const where = workspaceId
+        ? {
+            ...workspaceService.analysisAccessWhere(userId),
+            repository: { workspaceId },
+          }
+        : workspaceService.analysisAccessWhere(userId);
+
       const [
         totalAnalyses,
         completedAnalyses,
@@ -480,19 +767,19 @@ class AnalysisController {
         totalSuggestions,
         recentAnalyses,
       ] = await Promise.all([
-        prisma.analysis.count({ where: { userId } }),
-        prisma.analysis.count({ where: { userId, status: "COMPLETED" } }),
-        prisma.analysis.count({ where: { userId, status: "FAILED" } }),
+        prisma.analysis.count({ where }),
+        prisma.analysis.count({ where: { ...where, status: "COMPLETED" } }),
+        prisma.analysis.count({ where: { ...where, status: "FAILED" } }),
         prisma.analysis.count({
-          where: { userId, status: { in: ["PENDING", "PROCESSING"] } },
+          where: { ...where, status: { in: ["PENDING", "PROCESSING"] } },
         }),
         prisma.suggestion.count({
           where: {
-            analysis: { userId },
+            analysis: where,
           },
         }),
         prisma.analysis.findMany({
-          where: { userId },
+          where,
           include: {
             repository: { select: { name: true, fullName: true } },
             suggestions: { select: { severity: true } },
@@ -510,8 +797,12 @@ class AnalysisController {
 
       const recentAnalysesFormatted = recentAnalyses.map((analysis) => ({
         id: analysis.id,
-        repositoryName: analysis.repository.name,
+        repositoryName: analysis.repository?.name || null,
+        type: analysis.type,
+        title: analysis.title,
         prNumber: analysis.prNumber,
+        baseRef: analysis.baseRef,
+        headRef: analysis.headRef,
         status: analysis.status,
         createdAt: analysis.createdAt,
         suggestionsCount: analysis.suggestions.length,
@@ -547,6 +838,29 @@ class AnalysisController {
     }
   }
 
+  /**
+   * Publish analysis suggestions to the pull request as a GitHub review
+   * POST /api/analyses/:id/publish
+   */
+  async publishAnalysis(req, res, next) {
+    try {
+      const { id: analysisId } = req.params;
+
+      // 1. Publish (re-publishing updates existing comments)
+      const result = await reviewService.publishAnalysis(analysisId);
+
+      // 2. Clear cached analysis so publish state is visible
+      await Promise.all([
+        redis.del(`analysis:${analysisId}`),
+        redis.del(`analysis:full:${analysisId}`),
+      ]);
+
+      ApiResponse.success(res, result, "Analysis published to GitHub");
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Helper method to group suggestions by category
    */
@@ -1,105 +1,222 @@
-const jwt = require("jsonwebtoken");
 const axios = require("axios");
 const prisma = require("../config/database");
 const redis = require("../config/redis");
 const ApiResponse = require("../utils/response");
-const { AuthenticationError, NotFoundError } = require("../utils/errors");
+const {
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+} = require("../utils/errors");
+const { getHost, getHosts } = require("../config/github");
+const sessionService = require("../services/session.service");
+const oauthService = require("../services/oauth.service");
+const identityService = require("../services/identity.service");
+const accountService = require("../services/account.service");
+const oidcService = require("../services/oidc.service");
+const gitlabService = require("../services/gitlab.service");
+const { encrypt } = require("../utils/encryption");
+
+// Cookies binding an OAuth state to the browser that started the login, so
+// a callback URL can't be replayed in someone else's browser (login CSRF)
+const STATE_COOKIES = {
+  github: { name: "github_oauth_state", path: "/api/auth/github" },
+  oidc: { name: "oidc_oauth_state", path: "/api/auth/oidc" },
+};
+
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+const setStateCookie = (res, provider, state, expiresIn) => {
+  const { name, path } = STATE_COOKIES[provider];
+
+  res.cookie(name, state, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path,
+    maxAge: expiresIn * 1000,
+  });
+};
+
+// Clear the state cookie and check it matches the state of the callback
+const checkStateCookie = (req, res, provider, state) => {
+  const { name, path } = STATE_COOKIES[provider];
+  res.clearCookie(name, { path });
+
+  if (readCookie(req, name) !== state) {
+    throw new AuthenticationError(
+      "OAuth state does not match this browser, please sign in again"
+    );
+  }
+};
+
+// Callback URL of a provider on the host serving the request
+const getCallbackUrl = (req, provider) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/${provider}/callback`;
+
+// Public profile returned with login responses
+const formatUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  githubHost: user.githubHost,
+});
 
 class AuthController {
+  // Exchange an authorization code for a GitHub token and the GitHub user
+  async exchangeGithubCode(githubHost, code, { redirectUri, codeVerifier } = {}) {
+    const tokenResponse = await axios.post(
+      githubHost.oauthTokenUrl,
+      {
+        client_id: githubHost.clientId,
+        client_secret: githubHost.clientSecret,
+        code: code,
+        ...(redirectUri && { redirect_uri: redirectUri }),
+        ...(codeVerifier && { code_verifier: codeVerifier }),
+      },
+      {
+        headers: {
+          Accept: "application/json",
+        },
+      }
+    );
+
+    const accessToken = tokenResponse.data.access_token;
+
+    if (!accessToken) {
+      throw new AuthenticationError("Failed to get access token from GitHub");
+    }
+
+    const userResponse = await axios.get(`${githubHost.apiUrl}/user`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: "application/vnd.github.v3+json",
+      },
+    });
+
+    return { accessToken, githubUser: userResponse.data };
+  }
+
+  // Start a session for this device and issue an access and a refresh
+  // token. GitHub logins keep the GitHub token (encrypted) for API calls
+  async signIn(req, user, { githubHost = null, githubToken = null } = {}) {
+    const tokens = await sessionService.createSession(user, {
+      githubToken: githubToken && encrypt(githubToken),
+      githubHost,
+      userAgent: req.get("User-Agent"),
+      ipAddress: req.ip,
+    });
+
+    return { ...tokens, user: formatUser(user) };
+  }
+
+  // Exchange an authorization code for a GitHub token, then sign the user in
+  async loginWithCode(req, githubHost, code, options) {
+    const { accessToken, githubUser } = await authController.exchangeGithubCode(
+      githubHost,
+      code,
+      options
+    );
+
+    const user = await identityService.findOrCreateGithubUser(
+      githubHost.host,
+      githubUser
+    );
+
+    // Signing in with another linked account doesn't change which one
+    // GitHub API calls run as
+    const primary =
+      user.githubHost === githubHost.host &&
+      user.githubId === githubUser.id.toString();
+
+    return authController.signIn(
+      req,
+      user,
+      primary ? { githubHost: githubHost.host, githubToken: accessToken } : {}
+    );
+  }
+
+  // Log in with a code the client obtained from GitHub itself
   async githubLogin(req, res, next) {
     try {
-      const { code } = req.body;
+      const { code, host } = req.body;
+      const githubHost = getHost(host);
 
-      // Step 1: Exchange code for GitHub access token
-      const tokenResponse = await axios.post(
-        "https://github.com/login/oauth/access_token",
-        {
-          client_id: process.env.GITHUB_CLIENT_ID,
-          client_secret: process.env.GITHUB_CLIENT_SECRET,
-          code: code,
-        },
-        {
-          headers: {
-            Accept: "application/json",
-          },
-        }
+      const login = await authController.loginWithCode(req, githubHost, code);
+
+      ApiResponse.success(res, login, "Login successful");
+    } catch (error) {
+      console.error(
+        "GitHub login error:",
+        error.response?.data || error.message
       );
 
-      const accessToken = tokenResponse.data.access_token;
+      if (error.response?.status === 400) {
+        return next(
+          new AuthenticationError("Invalid GitHub authorization code")
+        );
+      }
+
+      next(error);
+    }
+  }
 
-      if (!accessToken) {
-        throw new AuthenticationError("Failed to get access token from GitHub");
+  // Start a server-side GitHub login: redirect to GitHub with a fresh state
+  async githubAuthorize(req, res, next) {
+    try {
+      const githubHost = getHost(req.query.host);
+      if (!githubHost.clientId) {
+        throw new NotFoundError(`GitHub login is not configured for ${githubHost.host}`);
       }
 
-      // Step 2: Get user info from GitHub
-      const userResponse = await axios.get("https://api.github.com/user", {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          Accept: "application/vnd.github.v3+json",
-        },
-      });
+      const callbackUrl =
+        githubHost.oauthCallbackUrl || getCallbackUrl(req, "github");
 
-      const githubUser = userResponse.data;
+      const { state, expiresIn, authorizeUrl } =
+        await oauthService.createAuthorization(githubHost, callbackUrl);
 
-      // Step 3: Create or update user in database
-      const user = await prisma.user.upsert({
-        where: { githubId: githubUser.id.toString() },
-        update: {
-          email: githubUser.email || `${githubUser.login}@github.local`,
-          username: githubUser.login,
-          avatar: githubUser.avatar_url,
-          updatedAt: new Date(),
-        },
-        create: {
-          email: githubUser.email || `${githubUser.login}@github.local`,
-          username: githubUser.login,
-          githubId: githubUser.id.toString(),
-          avatar: githubUser.avatar_url,
-        },
-      });
+      setStateCookie(res, "github", state, expiresIn);
+      res.redirect(authorizeUrl);
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Step 4: Generate JWT token
-      const jwtPayload = {
-        userId: user.id,
-        githubId: user.githubId,
-        username: user.username,
-      };
+  // GitHub redirects here after the user approves (or denies) the login
+  async githubCallback(req, res, next) {
+    try {
+      const { code, state, error, error_description: errorDescription } =
+        req.query;
 
-      const token = jwt.sign(jwtPayload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      });
+      if (error) {
+        throw new AuthenticationError(
+          errorDescription || `GitHub login failed: ${error}`
+        );
+      }
 
-      // Step 5: Store session in Redis (expires same time as JWT)
-      const sessionData = {
-        userId: user.id,
-        githubToken: accessToken, // Store GitHub token for API calls
-        username: user.username,
-        loginAt: new Date().toISOString(),
-      };
-
-      await redis.setex(
-        `session:${user.id}`,
-        7 * 24 * 60 * 60, // 7 days in seconds
-        JSON.stringify(sessionData)
-      );
+      checkStateCookie(req, res, "github", state);
 
-      // Return success response
-      ApiResponse.success(
-        res,
-        {
-          token,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            avatar: user.avatar,
-          },
-        },
-        "Login successful"
+      const { host, callbackUrl, codeVerifier } =
+        await oauthService.consumeState(state, "github");
+
+      const login = await authController.loginWithCode(
+        req,
+        getHost(host),
+        code,
+        { redirectUri: callbackUrl, codeVerifier }
       );
+
+      ApiResponse.success(res, login, "Login successful");
     } catch (error) {
       console.error(
-        "GitHub login error:",
+        "GitHub callback error:",
         error.response?.data || error.message
       );
 
@@ -113,68 +230,230 @@ class AuthController {
     }
   }
 
-  async refreshToken(req, res, next) {
+  // Start an OpenID Connect login: redirect to the SSO provider
+  async oidcAuthorize(req, res, next) {
     try {
-      const { token } = req.body;
+      const callbackUrl = oidcService.callbackUrl || getCallbackUrl(req, "oidc");
+
+      const { state, expiresIn, authorizeUrl } =
+        await oidcService.createAuthorization(callbackUrl);
+
+      setStateCookie(res, "oidc", state, expiresIn);
+      res.redirect(authorizeUrl);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // The SSO provider redirects here after the user signs in
+  async oidcCallback(req, res, next) {
+    try {
+      const { code, state, error, error_description: errorDescription } =
+        req.query;
+
+      if (error) {
+        throw new AuthenticationError(
+          errorDescription || `${oidcService.name} login failed: ${error}`
+        );
+      }
+
+      checkStateCookie(req, res, "oidc", state);
 
-      // Verify old token (ignore expiration)
-      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-        ignoreExpiration: true,
+      const { callbackUrl, codeVerifier, nonce } =
+        await oauthService.consumeState(state, "oidc");
+
+      const claims = await oidcService.exchangeCode(code, {
+        callbackUrl,
+        codeVerifier,
+        nonce,
       });
 
-      // Check if user still exists
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
+      const user = await identityService.findOrCreateOidcUser(claims);
+      const login = await authController.signIn(req, user);
+
+      ApiResponse.success(res, login, "Login successful");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a local account; it can sign in once its email is verified
+  async register(req, res, next) {
+    try {
+      const { email, password, username } = req.body;
+
+      const user = await accountService.register({ email, password, username });
+
+      ApiResponse.created(
+        res,
+        { id: user.id, email: user.email, username: user.username },
+        "Account created. Check your email to verify your address"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Sign in with email and password
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+
+      const user = await accountService.authenticate(email, password);
+      const login = await authController.signIn(req, user);
+
+      ApiResponse.success(res, login, "Login successful");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async verifyEmail(req, res, next) {
+    try {
+      const user = await accountService.verifyEmail(req.body.token);
+
+      ApiResponse.success(
+        res,
+        { email: user.email, emailVerifiedAt: user.emailVerifiedAt },
+        "Email verified successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resendVerification(req, res, next) {
+    try {
+      await accountService.resendVerification(req.body.email);
+
+      ApiResponse.success(
+        res,
+        null,
+        "If the account exists and is unverified, a new verification email has been sent"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set a password (e.g. on a GitHub or SSO account) or change it
+  async setPassword(req, res, next) {
+    try {
+      const { password, currentPassword } = req.body;
+
+      const result = await accountService.setPassword(req.user.userId, {
+        password,
+        currentPassword,
       });
 
-      if (!user) {
-        throw new AuthenticationError("User not found");
+      ApiResponse.success(
+        res,
+        result,
+        result.emailVerified
+          ? "Password updated successfully"
+          : "Password set. Verify your email address to sign in with it"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List the accounts the user can sign in with
+  async getIdentities(req, res, next) {
+    try {
+      const identities = await identityService.getIdentities(req.user.userId);
+
+      ApiResponse.success(res, identities, "Identities retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Link a GitHub account to the signed-in user with an authorization code
+  async linkGithub(req, res, next) {
+    try {
+      const { code, host } = req.body;
+      const githubHost = getHost(host);
+
+      const { accessToken, githubUser } =
+        await authController.exchangeGithubCode(githubHost, code);
+
+      const primary = await identityService.linkGithub(
+        req.user.userId,
+        githubHost.host,
+        githubUser
+      );
+
+      // This device can call GitHub right away. GitHub API calls run as the
+      // primary account, so another account's token isn't kept
+      if (primary) {
+        await sessionService.attachGithubToken(req.user.sessionId, {
+          githubHost: githubHost.host,
+          githubToken: encrypt(accessToken),
+        });
       }
 
-      // Check if session exists in Redis
-      const session = await redis.get(`session:${user.id}`);
-      if (!session) {
-        throw new AuthenticationError("Session expired");
+      const identities = await identityService.getIdentities(req.user.userId);
+
+      ApiResponse.created(res, identities, "GitHub account linked successfully");
+    } catch (error) {
+      if (error.response?.status === 400) {
+        return next(
+          new AuthenticationError("Invalid GitHub authorization code")
+        );
       }
 
-      // Generate new token
-      const jwtPayload = {
-        userId: user.id,
-        githubId: user.githubId,
-        username: user.username,
-      };
+      next(error);
+    }
+  }
 
-      const newToken = jwt.sign(jwtPayload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      });
+  async unlinkIdentity(req, res, next) {
+    try {
+      await identityService.unlinkIdentity(req.user.userId, req.params.id);
 
-      // Update session timestamp
-      const sessionData = JSON.parse(session);
-      sessionData.refreshedAt = new Date().toISOString();
+      ApiResponse.success(res, null, "Identity unlinked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      await redis.setex(
-        `session:${user.id}`,
-        7 * 24 * 60 * 60, // 7 days
-        JSON.stringify(sessionData)
+  // List the GitHub hosts users can sign in with (never exposes secrets)
+  async getGithubHosts(req, res, next) {
+    try {
+      const hosts = getHosts()
+        .filter((host) => host.clientId)
+        .map((host) => ({
+          host: host.host,
+          webUrl: host.webUrl,
+          authorizeUrl: host.oauthAuthorizeUrl,
+          clientId: host.clientId,
+          scopes: host.oauthScopes,
+        }));
+
+      ApiResponse.success(res, { hosts });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Rotate a refresh token: the old one stops working and a new access and
+  // refresh token pair is returned
+  async refreshToken(req, res, next) {
+    try {
+      const { user, ...tokens } = await sessionService.rotate(
+        req.body.refreshToken,
+        {
+          userAgent: req.get("User-Agent"),
+          ipAddress: req.ip,
+        }
       );
 
       ApiResponse.success(
         res,
-        {
-          token: newToken,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            avatar: user.avatar,
-          },
-        },
+        { ...tokens, user: formatUser(user) },
         "Token refreshed successfully"
       );
     } catch (error) {
-      if (error.name === "JsonWebTokenError") {
-        return next(new AuthenticationError("Invalid token format"));
-      }
       next(error);
     }
   }
@@ -200,6 +479,8 @@ class AuthController {
           username: true,
           email: true,
           avatar: true,
+          githubHost: true,
+          emailVerifiedAt: true,
           createdAt: true,
           _count: {
             select: {
@@ -227,8 +508,13 @@ class AuthController {
     try {
       const userId = req.user.userId;
 
-      // Remove session from Redis
-      await redis.del(`session:${userId}`);
+      // Revoke this device's session and its access token; other devices
+      // stay signed in
+      await sessionService.revokeSession(req.user.sessionId);
+      await sessionService.revokeAccessToken(
+        req.user.jti,
+        req.user.tokenExpiresAt
+      );
 
       // Invalidate user cache
       await redis.del(`user:${userId}`);
@@ -241,6 +527,106 @@ class AuthController {
       next(error);
     }
   }
+
+  // Revoke one of the user's access tokens (e.g. one that leaked) without
+  // ending its session
+  async revokeAccessToken(req, res, next) {
+    try {
+      const decoded = sessionService.verifyAccessToken(req.body.token);
+
+      if (decoded.userId !== req.user.userId) {
+        throw new AuthorizationError("You can only revoke your own tokens");
+      }
+
+      await sessionService.revokeAccessToken(decoded.jti, decoded.exp);
+      console.log(
+        "[TOKEN_REVOKED]",
+        JSON.stringify({ jti: decoded.jti, userId: decoded.userId, by: req.user.userId })
+      );
+
+      ApiResponse.success(res, { jti: decoded.jti }, "Token revoked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // The GitLab account whose token the user's GitLab calls use
+  async getGitlabAccount(req, res, next) {
+    try {
+      const account = await gitlabService.getAccount(req.user.userId);
+
+      ApiResponse.success(res, { account });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async connectGitlab(req, res, next) {
+    try {
+      const account = await gitlabService.connectAccount(
+        req.user.userId,
+        req.body.token
+      );
+
+      ApiResponse.success(res, { account }, "GitLab account connected successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async disconnectGitlab(req, res, next) {
+    try {
+      await gitlabService.disconnectAccount(req.user.userId);
+
+      ApiResponse.success(res, null, "GitLab account disconnected successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List the user's signed-in devices
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await sessionService.getSessions(req.user.userId);
+
+      ApiResponse.success(
+        res,
+        {
+          sessions: sessions.map((session) => ({
+            ...session,
+            current: session.id === req.user.sessionId,
+          })),
+        },
+        "Sessions retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Sign out one device
+  async revokeSession(req, res, next) {
+    try {
+      await sessionService.revokeUserSession(req.user.userId, req.params.id);
+
+      ApiResponse.success(res, null, "Session revoked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Sign out every device, including this one
+  async revokeAllSessions(req, res, next) {
+    try {
+      const revoked = await sessionService.revokeAllSessions(req.user.userId);
+
+      ApiResponse.success(res, { revoked }, "All sessions revoked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
-module.exports = new AuthController();
+const authController = new AuthController();
+
+module.exports = authController;
@@ -1,17 +1,21 @@
 const prisma = require('../config/database');
 const redis = require('../config/redis');
-const githubService = require('../services/github.service');
+const { getProvider } = require('../services/provider.service');
+const workspaceService = require('../services/workspace.service');
 const ApiResponse = require('../utils/response');
 const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
 
+// GitHub permission levels, lowest first
+const PERMISSION_LEVELS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
 class RepositoryController {
   async getRepositories(req, res, next) {
     try {
       const userId = req.user.userId;
-      const { page = 1, limit = 10 } = req.query;
+      const { page = 1, limit = 10, workspaceId } = req.query;
       
       // Check Redis cache first
-      const cacheKey = `repos:${userId}:${page}:${limit}`;
+      const cacheKey = `repos:${userId}:${page}:${limit}:${workspaceId || 'all'}`;
       const cached = await redis.get(cacheKey);
       
       if (cached) {
@@ -19,15 +23,17 @@ class RepositoryController {
         return ApiResponse.success(res, JSON.parse(cached));
       }
 
-      // Query repositories from database with pagination
+      // Query repositories of the user's workspaces with pagination
       const skip = (parseInt(page) - 1) * parseInt(limit);
+      const where = {
+        ...workspaceService.repositoryAccessWhere(userId),
+        ...(workspaceId && { workspaceId }),
+        isActive: true
+      };
       
       const [repositories, total] = await Promise.all([
         prisma.repository.findMany({
-          where: { 
-            userId: userId,
-            isActive: true
-          },
+          where,
           orderBy: { updatedAt: 'desc' },
           skip: skip,
           take: parseInt(limit),
@@ -39,12 +45,7 @@ class RepositoryController {
             }
           }
         }),
-        prisma.repository.count({
-          where: { 
-            userId: userId,
-            isActive: true
-          }
-        })
+        prisma.repository.count({ where })
       ]);
 
       const result = {
@@ -52,6 +53,9 @@ class RepositoryController {
           id: repo.id,
           name: repo.name,
           fullName: repo.fullName,
+          provider: repo.provider,
+          host: repo.host,
+          workspaceId: repo.workspaceId,
           isActive: repo.isActive,
           createdAt: repo.createdAt,
           updatedAt: repo.updatedAt,
@@ -77,44 +81,66 @@ class RepositoryController {
 
   async createRepository(req, res, next) {
     try {
-      const { fullName } = req.body;
+      const { fullName, provider = 'github' } = req.body;
+      const providerName = provider.toUpperCase();
       const userId = req.user.userId;
+
+      // The target workspace was resolved by the permission middleware
+      const targetWorkspaceId = req.workspace.id;
+
+      // GitHub repositories live on the host the user logged in with
+      const service = getProvider({ provider: providerName, host: req.user.githubHost });
       
-      // Verify repository access with GitHub
-      const accessCheck = await githubService.verifyRepoAccess(fullName, userId);
+      // Verify repository access with its provider
+      const accessCheck = await service.verifyRepoAccess(fullName, userId);
       
       if (!accessCheck.hasAccess) {
         throw new AuthorizationError(accessCheck.error || 'No access to this repository');
       }
 
-      // Check if repository already exists for this user
-      const existingRepo = await prisma.repository.findFirst({
+      // A repository is connected once, to a single workspace
+      const existingRepo = await prisma.repository.findUnique({
         where: {
-          fullName: fullName,
-          userId: userId
+          provider_host_fullName: {
+            provider: providerName,
+            host: service.host,
+            fullName: accessCheck.repo.full_name
+          }
         }
       });
 
       if (existingRepo) {
+        const role = await workspaceService.getRepositoryRole(existingRepo, userId);
+
+        if (!role) {
+          throw new ValidationError('Repository is connected in another workspace; ask one of its admins to add you');
+        }
+
         if (existingRepo.isActive) {
           throw new ValidationError('Repository is already connected');
+        } else if (!workspaceService.hasRole(role, 'ADMIN')) {
+          throw new AuthorizationError('You need the ADMIN role in this workspace to do this');
         } else {
-          // Reactivate if it was deactivated
+          // Reactivate if it was deactivated, keeping its workspace and history
           const reactivatedRepo = await prisma.repository.update({
             where: { id: existingRepo.id },
             data: { 
               isActive: true,
+              workspaceId: existingRepo.workspaceId || targetWorkspaceId,
               updatedAt: new Date()
             }
           });
 
-          // Invalidate user repositories cache
-          await this.invalidateRepositoryCache(userId);
+          // Invalidate the workspace members' repositories cache
+          await repositoryController.invalidateSharedRepositoryCache(reactivatedRepo);
 
           return ApiResponse.success(res, {
             id: reactivatedRepo.id,
             fullName: reactivatedRepo.fullName,
             name: reactivatedRepo.name,
+            provider: reactivatedRepo.provider,
+            host: reactivatedRepo.host,
+            workspaceId: reactivatedRepo.workspaceId,
             isActive: reactivatedRepo.isActive
           }, 'Repository reactivated successfully');
         }
@@ -125,18 +151,24 @@ class RepositoryController {
         data: {
           name: accessCheck.repo.name,
           fullName: accessCheck.repo.full_name,
+          provider: providerName,
+          host: service.host,
           userId: userId,
+          workspaceId: targetWorkspaceId,
           isActive: true
         }
       });
 
-      // Invalidate user repositories cache
-      await this.invalidateRepositoryCache(userId);
+      // Invalidate the workspace members' repositories cache
+      await repositoryController.invalidateSharedRepositoryCache(repository);
       
       ApiResponse.created(res, {
         id: repository.id,
         fullName: repository.fullName,
         name: repository.name,
+        provider: repository.provider,
+        host: repository.host,
+        workspaceId: repository.workspaceId,
         isActive: repository.isActive,
         createdAt: repository.createdAt
       }, 'Repository connected successfully');
@@ -146,6 +178,181 @@ class RepositoryController {
     }
   }
 
+  // List the GitHub repositories the user can access (including their
+  // organizations') with filters, marking the ones already connected
+  async discoverRepositories(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { owner, language, visibility, permission, connected, includeArchived } = req.query;
+
+      const github = getProvider({ provider: 'GITHUB', host: req.user.githubHost });
+      const { repos, truncated } = await github.getAllUserRepositories(userId);
+
+      // Repositories already connected in the user's workspaces on this host
+      const connectedRepos = await prisma.repository.findMany({
+        where: {
+          ...workspaceService.repositoryAccessWhere(userId),
+          provider: 'GITHUB',
+          host: github.host,
+          isActive: true
+        },
+        select: { id: true, fullName: true }
+      });
+      const connectedIds = new Map(connectedRepos.map(repo => [repo.fullName.toLowerCase(), repo.id]));
+
+      const minimumLevel = PERMISSION_LEVELS.indexOf(permission);
+
+      const repositories = repos
+        .filter(repo => includeArchived || !repo.archived)
+        .filter(repo => !owner || repo.owner.toLowerCase() === owner.toLowerCase())
+        .filter(repo => !language || (repo.language || '').toLowerCase() === language.toLowerCase())
+        .filter(repo => visibility === 'all' || repo.private === (visibility === 'private'))
+        .filter(repo => !permission || PERMISSION_LEVELS
+          .slice(minimumLevel)
+          .some(level => repo.permissions?.[level]))
+        .map(repo => ({
+          ...repo,
+          connected: connectedIds.has(repo.full_name.toLowerCase()),
+          repositoryId: connectedIds.get(repo.full_name.toLowerCase()) || null
+        }))
+        .filter(repo => connected === undefined || repo.connected === connected);
+
+      ApiResponse.success(res, {
+        host: github.host,
+        repositories,
+        total: repositories.length,
+        scanned: repos.length,
+        truncated,
+        owners: [...new Set(repos.map(repo => repo.owner))].sort()
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Connect many GitHub repositories at once, creating or reactivating their
+  // rows in one transaction and reporting the outcome of each
+  async bulkConnectRepositories(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { repositories: fullNames } = req.body;
+
+      const github = getProvider({ provider: 'GITHUB', host: req.user.githubHost });
+      const targetWorkspaceId = req.workspace.id;
+
+      // 1. Resolve access from the discovery list, checking the rest one by one
+      const { repos } = await github.getAllUserRepositories(userId);
+      const accessible = new Map(repos.map(repo => [repo.full_name.toLowerCase(), repo]));
+
+      const results = await Promise.all(fullNames.map(async fullName => {
+        const repo = accessible.get(fullName.toLowerCase());
+        if (repo) {
+          return { fullName: repo.full_name, name: repo.name };
+        }
+
+        const accessCheck = await github.verifyRepoAccess(fullName, userId);
+        return accessCheck.hasAccess
+          ? { fullName: accessCheck.repo.full_name, name: accessCheck.repo.name }
+          : { fullName, outcome: 'no_access', error: accessCheck.error || 'No access to this repository' };
+      }));
+
+      // 2. Match against rows that already exist on this host
+      const existingRepos = await prisma.repository.findMany({
+        where: {
+          provider: 'GITHUB',
+          host: github.host,
+          fullName: { in: results.filter(result => !result.outcome).map(result => result.fullName) }
+        }
+      });
+      const existingByName = new Map(existingRepos.map(repo => [repo.fullName, repo]));
+      const roles = await workspaceService.getRepositoryRoles(existingRepos, userId);
+
+      const operations = [];
+      results.forEach(result => {
+        if (result.outcome) return;
+
+        const existing = existingByName.get(result.fullName);
+
+        if (!existing) {
+          result.outcome = 'created';
+          operations.push({
+            result,
+            query: prisma.repository.create({
+              data: {
+                name: result.name,
+                fullName: result.fullName,
+                provider: 'GITHUB',
+                host: github.host,
+                userId: userId,
+                workspaceId: targetWorkspaceId,
+                isActive: true
+              }
+            })
+          });
+        } else if (!roles.get(existing.id)) {
+          result.outcome = 'conflict';
+          result.error = 'Repository is connected in another workspace';
+        } else if (existing.isActive) {
+          result.outcome = 'already_connected';
+          result.repositoryId = existing.id;
+        } else if (!workspaceService.hasRole(roles.get(existing.id), 'ADMIN')) {
+          result.outcome = 'conflict';
+          result.error = 'You need the ADMIN role in its workspace to reconnect this repository';
+        } else {
+          result.outcome = 'reactivated';
+          operations.push({
+            result,
+            query: prisma.repository.update({
+              where: { id: existing.id },
+              data: {
+                isActive: true,
+                workspaceId: existing.workspaceId || targetWorkspaceId,
+                updatedAt: new Date()
+              }
+            })
+          });
+        }
+      });
+
+      // 3. Write every new or reactivated repository together
+      const saved = operations.length > 0
+        ? await prisma.$transaction(operations.map(operation => operation.query))
+        : [];
+      saved.forEach((repository, index) => {
+        operations[index].result.repositoryId = repository.id;
+        operations[index].result.workspaceId = repository.workspaceId;
+      });
+
+      const savedWorkspaces = new Map(saved.map(repository => [repository.workspaceId, repository]));
+      for (const repository of savedWorkspaces.values()) {
+        await repositoryController.invalidateSharedRepositoryCache(repository);
+      }
+
+      const count = outcome => results.filter(result => result.outcome === outcome).length;
+
+      ApiResponse.success(res, {
+        host: github.host,
+        workspaceId: targetWorkspaceId,
+        summary: {
+          requested: fullNames.length,
+          created: count('created'),
+          reactivated: count('reactivated'),
+          alreadyConnected: count('already_connected'),
+          failed: count('no_access') + count('conflict')
+        },
+        results: results.map(({ name, ...result }) => ({
+          repositoryId: null,
+          error: null,
+          ...result
+        }))
+      }, 'Bulk repository connection completed');
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getRepository(req, res, next) {
     try {
       const { id } = req.params;
@@ -160,11 +367,10 @@ class RepositoryController {
         return ApiResponse.success(res, JSON.parse(cached));
       }
 
-      // Verify user owns repository and get details
+      // Get details (access is checked by the permission middleware)
       const repository = await prisma.repository.findFirst({
         where: {
           id: id,
-          userId: userId,
           isActive: true
         },
         include: {
@@ -200,6 +406,9 @@ class RepositoryController {
         id: repository.id,
         name: repository.name,
         fullName: repository.fullName,
+        provider: repository.provider,
+        host: repository.host,
+        workspaceId: repository.workspaceId,
         isActive: repository.isActive,
         createdAt: repository.createdAt,
         updatedAt: repository.updatedAt,
@@ -226,25 +435,12 @@ class RepositoryController {
 
   async deleteRepository(req, res, next) {
     try {
-      const { id } = req.params;
-      const userId = req.user.userId;
-      
-      // Verify user owns repository
-      const repository = await prisma.repository.findFirst({
-        where: {
-          id: id,
-          userId: userId
-        }
-      });
-
-      if (!repository) {
-        throw new NotFoundError('Repository not found');
-      }
+      const repository = req.repository;
 
       // Soft delete - set isActive to false instead of hard delete
       // This preserves analysis history
       await prisma.repository.update({
-        where: { id: id },
+        where: { id: repository.id },
         data: { 
           isActive: false,
           updatedAt: new Date()
@@ -252,8 +448,7 @@ class RepositoryController {
       });
 
       // Invalidate caches
-      await this.invalidateRepositoryCache(userId);
-      await redis.del(`repo:${id}:${userId}`);
+      await repositoryController.invalidateSharedRepositoryCache(repository);
       
       ApiResponse.success(res, null, 'Repository disconnected successfully');
       
@@ -265,25 +460,12 @@ class RepositoryController {
   // Get pull requests for a repository
   async getRepositoryPullRequests(req, res, next) {
     try {
-      const { id } = req.params;
       const { state = 'open', page = 1 } = req.query;
       const userId = req.user.userId;
-      
-      // Verify user owns repository
-      const repository = await prisma.repository.findFirst({
-        where: {
-          id: id,
-          userId: userId,
-          isActive: true
-        }
-      });
-
-      if (!repository) {
-        throw new NotFoundError('Repository not found');
-      }
+      const repository = req.repository;
 
-      // Get pull requests from GitHub
-      const pullRequests = await githubService.getPullRequests(
+      // Get pull requests (merge requests on GitLab) from the provider
+      const pullRequests = await getProvider(repository).getPullRequests(
         repository.fullName, 
         userId, 
         state, 
@@ -293,7 +475,8 @@ class RepositoryController {
       ApiResponse.success(res, {
         repository: {
           id: repository.id,
-          fullName: repository.fullName
+          fullName: repository.fullName,
+          provider: repository.provider
         },
         pullRequests: pullRequests,
         pagination: {
@@ -307,6 +490,34 @@ class RepositoryController {
     }
   }
 
+  // Rate limit of the user's GitHub token and how many requests the
+  // response cache saved (hits and 304 revalidations per endpoint)
+  async getGithubDiagnostics(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const github = getProvider({ provider: 'GITHUB', host: req.user.githubHost });
+
+      const [rateLimit, cache] = await Promise.all([
+        github.getRateLimitStatus(userId),
+        github.getCacheStats()
+      ]);
+
+      ApiResponse.success(res, {
+        host: github.host,
+        rateLimit: rateLimit && {
+          limit: rateLimit.limit,
+          remaining: rateLimit.remaining,
+          used: rateLimit.used,
+          reset: rateLimit.reset
+        },
+        cache
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Helper method to invalidate repository cache
   async invalidateRepositoryCache(userId) {
     const keys = await redis.keys(`repos:${userId}:*`);
@@ -314,6 +525,21 @@ class RepositoryController {
       await redis.del(...keys);
     }
   }
+
+  // Helper method to invalidate the caches of everyone who sees a repository:
+  // the members of its workspace, or the user who connected it
+  async invalidateSharedRepositoryCache(repository) {
+    const userIds = repository.workspaceId
+      ? await workspaceService.getMemberIds(repository.workspaceId)
+      : [repository.userId];
+
+    for (const userId of userIds) {
+      await repositoryController.invalidateRepositoryCache(userId);
+      await redis.del(`repo:${repository.id}:${userId}`);
+    }
+  }
 }
 
-module.exports = new RepositoryController();
\ No newline at end of file
+const repositoryController = new RepositoryController();
+
+module.exports = repositoryController;
\ No newline at end of file
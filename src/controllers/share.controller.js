@@ -0,0 +1,72 @@
+const ApiResponse = require("../utils/response");
+const shareService = require("../services/share.service");
+
+class ShareController {
+  /**
+   * Create a read-only share link for an analysis
+   * POST /api/analyses/:id/shares
+   */
+  async createShare(req, res, next) {
+    try {
+      const share = await shareService.createShare(
+        req.params.id,
+        req.user.userId,
+        req.body.expiresInHours
+      );
+
+      ApiResponse.created(res, share, "Share link created successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the share links of an analysis with their recent accesses
+   * GET /api/analyses/:id/shares
+   */
+  async getShares(req, res, next) {
+    try {
+      const shares = await shareService.getShares(req.params.id);
+
+      ApiResponse.success(res, { shares }, "Share links retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * DELETE /api/analyses/:id/shares/:shareId
+   */
+  async revokeShare(req, res, next) {
+    try {
+      const share = await shareService.revokeShare(
+        req.params.id,
+        req.params.shareId
+      );
+
+      ApiResponse.success(res, share, "Share link revoked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a shared analysis without signing in
+   * GET /api/shared/analyses/:token
+   */
+  async getSharedAnalysis(req, res, next) {
+    try {
+      const analysis = await shareService.getSharedAnalysis(req.params.token, {
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent") || null,
+      });
+
+      ApiResponse.success(res, analysis, "Shared analysis retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ShareController();
@@ -0,0 +1,58 @@
+const ApiResponse = require("../utils/response");
+const tokenService = require("../services/token.service");
+
+class TokenController {
+  /**
+   * List the user's active personal access tokens
+   * GET /api/auth/tokens
+   */
+  async getTokens(req, res, next) {
+    try {
+      const tokens = await tokenService.getTokens(req.user.userId);
+
+      ApiResponse.success(res, { tokens }, "Tokens retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a personal access token; the token itself is only shown once
+   * POST /api/auth/tokens
+   */
+  async createToken(req, res, next) {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      const token = await tokenService.createToken(req.user.userId, {
+        name,
+        scopes,
+        expiresInDays,
+      });
+
+      ApiResponse.created(
+        res,
+        token,
+        "Token created successfully. Copy it now, it won't be shown again"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a personal access token
+   * DELETE /api/auth/tokens/:id
+   */
+  async revokeToken(req, res, next) {
+    try {
+      await tokenService.revokeToken(req.user.userId, req.params.id);
+
+      ApiResponse.success(res, null, "Token revoked successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TokenController();
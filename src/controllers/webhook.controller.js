@@ -0,0 +1,103 @@
+const ApiResponse = require("../utils/response");
+const { ValidationError } = require("../utils/errors");
+const webhookService = require("../services/webhook.service");
+
+class WebhookController {
+  /**
+   * Receive a GitHub webhook delivery
+   * POST /api/webhooks/github
+   */
+  async receiveGithubWebhook(req, res, next) {
+    try {
+      const deliveryId = req.get("X-GitHub-Delivery");
+      const event = req.get("X-GitHub-Event");
+
+      if (!deliveryId || !event) {
+        throw new ValidationError("Missing GitHub delivery headers");
+      }
+
+      // Form-encoded deliveries wrap the JSON document in a payload field
+      let payload = req.body;
+      if (typeof req.body?.payload === "string") {
+        try {
+          payload = JSON.parse(req.body.payload);
+        } catch (error) {
+          // Keep malformed deliveries in the delivery log as failed
+          const delivery = await webhookService.recordDelivery({
+            deliveryId,
+            event,
+          });
+
+          if (delivery) {
+            await webhookService.completeDelivery(delivery.id, {
+              outcome: "FAILED",
+              error: `Malformed payload: ${error.message}`,
+            });
+          }
+
+          throw new ValidationError("Malformed webhook payload");
+        }
+      }
+
+      // 1. Record the delivery (duplicates are acknowledged and skipped)
+      const delivery = await webhookService.recordDelivery({
+        deliveryId,
+        event,
+        action: payload?.action,
+      });
+
+      if (!delivery) {
+        return ApiResponse.success(
+          res,
+          { deliveryId, duplicate: true },
+          "Duplicate delivery ignored"
+        );
+      }
+
+      // 2. Process the event
+      const result = await webhookService.processDelivery(
+        delivery,
+        event,
+        payload,
+        req.githubHost
+      );
+
+      ApiResponse.success(
+        res,
+        {
+          deliveryId,
+          outcome: result.outcome,
+          analysisId: result.analysisId || null,
+          reason: result.reason || null,
+        },
+        "Webhook processed"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List recorded deliveries for the user's repositories
+   * GET /api/webhooks/deliveries
+   */
+  async getDeliveries(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { page = 1, limit = 20, outcome, repositoryId } = req.query;
+
+      const result = await webhookService.getDeliveries(userId, {
+        page,
+        limit,
+        outcome,
+        repositoryId,
+      });
+
+      ApiResponse.success(res, result, "Deliveries retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,172 @@
+const ApiResponse = require("../utils/response");
+const workspaceService = require("../services/workspace.service");
+
+class WorkspaceController {
+  /**
+   * List the workspaces the user belongs to
+   * GET /api/workspaces
+   */
+  async getWorkspaces(req, res, next) {
+    try {
+      const workspaces = await workspaceService.getUserWorkspaces(
+        req.user.userId
+      );
+
+      ApiResponse.success(
+        res,
+        { workspaces },
+        "Workspaces retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a shared workspace owned by the user
+   * POST /api/workspaces
+   */
+  async createWorkspace(req, res, next) {
+    try {
+      const workspace = await workspaceService.createWorkspace(
+        req.user.userId,
+        req.body.name
+      );
+
+      ApiResponse.created(
+        res,
+        {
+          id: workspace.id,
+          name: workspace.name,
+          isPersonal: workspace.isPersonal,
+          role: "OWNER",
+          createdAt: workspace.createdAt,
+        },
+        "Workspace created successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a workspace with its members and repositories
+   * GET /api/workspaces/:id
+   */
+  async getWorkspace(req, res, next) {
+    try {
+      const workspace = await workspaceService.getWorkspace(
+        req.params.id,
+        req.user.userId
+      );
+
+      ApiResponse.success(res, workspace, "Workspace retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update workspace settings
+   * PATCH /api/workspaces/:id
+   */
+  async updateWorkspace(req, res, next) {
+    try {
+      const workspace = await workspaceService.updateWorkspace(req.params.id, {
+        name: req.body.name,
+      });
+
+      ApiResponse.success(
+        res,
+        {
+          id: workspace.id,
+          name: workspace.name,
+          isPersonal: workspace.isPersonal,
+          updatedAt: workspace.updatedAt,
+        },
+        "Workspace updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a user to a workspace by their username on the caller's GitHub host,
+   * or by email
+   * POST /api/workspaces/:id/members
+   */
+  async addMember(req, res, next) {
+    try {
+      const { username, email, role = "MEMBER" } = req.body;
+
+      const membership = await workspaceService.addMember(
+        req.params.id,
+        { userId: req.user.userId, role: req.access.role },
+        { githubHost: req.user.githubHost, username, email, role }
+      );
+
+      ApiResponse.created(
+        res,
+        {
+          workspaceId: membership.workspaceId,
+          userId: membership.userId,
+          username: membership.user.username,
+          email: membership.user.email,
+          role: membership.role,
+          joinedAt: membership.createdAt,
+        },
+        "Member added successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a member's role
+   * PATCH /api/workspaces/:id/members/:userId
+   */
+  async updateMember(req, res, next) {
+    try {
+      const membership = await workspaceService.updateMemberRole(
+        req.params.id,
+        { userId: req.user.userId, role: req.access.role },
+        req.params.userId,
+        req.body.role
+      );
+
+      ApiResponse.success(
+        res,
+        {
+          workspaceId: membership.workspaceId,
+          userId: membership.userId,
+          role: membership.role,
+        },
+        "Member updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a member from a workspace (or leave it)
+   * DELETE /api/workspaces/:id/members/:userId
+   */
+  async removeMember(req, res, next) {
+    try {
+      await workspaceService.removeMember(
+        req.params.id,
+        { userId: req.user.userId, role: req.access.role },
+        req.params.userId
+      );
+
+      ApiResponse.success(res, null, "Member removed successfully");
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WorkspaceController();
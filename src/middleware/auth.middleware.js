@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
-const redis = require('../config/redis');
 const { AuthenticationError } = require('../utils/errors');
+const { DEFAULT_HOST } = require('../config/github');
+const tokenService = require('../services/token.service');
+const sessionService = require('../services/session.service');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -12,12 +14,22 @@ const authMiddleware = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove "Bearer "
 
+    // Personal access tokens (CI, scripts) carry scopes instead of a session
+    if (tokenService.isPersonalAccessToken(token)) {
+      req.user = await tokenService.authenticate(token, req.ip);
+      return next();
+    }
+
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Optional: Check if session exists in Redis
-    const session = await redis.get(`session:${decoded.userId}`);
-    if (!session) {
+    // Every access token has an id, so it can be revoked on its own
+    if (!decoded.jti || await sessionService.isAccessTokenRevoked(decoded.jti)) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+
+    // Access tokens belong to a device session, which can be revoked
+    if (!decoded.sid || !(await sessionService.touchSession(decoded.sid))) {
       throw new AuthenticationError('Session expired');
     }
 
@@ -25,7 +37,11 @@ const authMiddleware = async (req, res, next) => {
     req.user = {
       userId: decoded.userId,
       githubId: decoded.githubId,
-      username: decoded.username
+      githubHost: decoded.githubHost || DEFAULT_HOST,
+      username: decoded.username,
+      sessionId: decoded.sid,
+      jti: decoded.jti,
+      tokenExpiresAt: decoded.exp
     };
 
     next();
@@ -0,0 +1,172 @@
+const prisma = require('../config/database');
+const workspaceService = require('../services/workspace.service');
+const { NotFoundError, AuthorizationError } = require('../utils/errors');
+
+// Lowest workspace role that grants each permission. `creatorRole` lets the
+// user who created the resource act on it with a lower role
+const PERMISSIONS = {
+  'workspace:read': { role: 'VIEWER' },
+  'workspace:manage': { role: 'ADMIN' },
+  'repository:read': { role: 'VIEWER' },
+  'repository:manage': { role: 'ADMIN' },
+  'analysis:read': { role: 'VIEWER' },
+  'analysis:create': { role: 'MEMBER' },
+  'analysis:publish': { role: 'MEMBER' },
+  'analysis:share': { role: 'MEMBER' },
+  'analysis:delete': { role: 'ADMIN', creatorRole: 'MEMBER' }
+};
+
+// Loaders return { resource, role } for the caller, or null when the
+// resource doesn't exist
+const loaders = {
+  workspace: async (id, userId) => {
+    const workspace = await prisma.workspace.findUnique({ where: { id } });
+    if (!workspace) return null;
+
+    return { resource: workspace, role: await workspaceService.getRole(id, userId) };
+  },
+
+  repository: async (id, userId) => {
+    const repository = await prisma.repository.findFirst({
+      where: { id, isActive: true }
+    });
+    if (!repository) return null;
+
+    return {
+      resource: repository,
+      role: await workspaceService.getRepositoryRole(repository, userId)
+    };
+  },
+
+  analysis: async (id, userId) => {
+    const analysis = await prisma.analysis.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        userId: true,
+        repositoryId: true,
+        status: true,
+        repository: { select: { id: true, userId: true, workspaceId: true } }
+      }
+    });
+    if (!analysis) return null;
+
+    return {
+      resource: analysis,
+      role: await workspaceService.getAnalysisRole(analysis, userId)
+    };
+  }
+};
+
+const NOT_FOUND_MESSAGES = {
+  workspace: 'Workspace not found',
+  repository: 'Repository not found',
+  analysis: 'Analysis not found'
+};
+
+// Resolve the resource named by a route parameter (`:id` by default)
+const fromParam = (type, param = 'id') => req => ({ type, id: req.params[param] });
+
+// Resolve the workspace named in the request body, or the caller's personal
+// workspace (e.g. where a repository is being connected)
+const targetWorkspace = async req => ({
+  type: 'workspace',
+  id: req.body.workspaceId || (await workspaceService.getPersonalWorkspace(req.user.userId)).id
+});
+
+/**
+ * Require a permission on the resource a route acts on. The resource type
+ * comes from the permission name and is resolved from `:id` unless another
+ * resolver is given. On success the resource is available as
+ * req.workspace / req.repository / req.analysis and the caller's role as
+ * req.access.role.
+ */
+const requirePermission = (permission, resolve = fromParam(permission.split(':')[0])) => {
+  const requirement = PERMISSIONS[permission];
+  if (!requirement) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const { userId } = req.user;
+      const { type, id } = await resolve(req);
+
+      const loaded = await loaders[type](id, userId);
+      if (!loaded) {
+        throw new NotFoundError(NOT_FOUND_MESSAGES[type]);
+      }
+
+      const { resource, role } = loaded;
+      if (!role) {
+        throw new AuthorizationError(`Access denied to this ${type}`);
+      }
+
+      const isCreator = type !== 'workspace' && resource.userId === userId;
+      const allowed = workspaceService.hasRole(role, requirement.role) ||
+        (isCreator && requirement.creatorRole && workspaceService.hasRole(role, requirement.creatorRole));
+
+      if (!allowed) {
+        throw new AuthorizationError(`You need the ${requirement.role} role in this workspace to do this`);
+      }
+
+      req[type] = resource;
+      req.access = { permission, role };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Personal access tokens only reach routes their scopes cover (a :write
+// scope includes :read); session logins have every scope
+const requireScope = scope => (req, res, next) => {
+  const { scopes } = req.user;
+  const writeScope = scope.replace(/:read$/, ':write');
+
+  if (!scopes || scopes.includes(scope) || scopes.includes(writeScope)) {
+    return next();
+  }
+
+  next(new AuthorizationError(`This token is missing the ${scope} scope`));
+};
+
+// Require the read scope of a resource for safe methods, its write scope
+// otherwise (e.g. for a whole router)
+const requireScopes = resource => (req, res, next) => {
+  const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+  requireScope(`${resource}:${access}`)(req, res, next);
+};
+
+// Platform administrators are listed by user id in ADMIN_USER_IDS
+const requireAdmin = (req, res, next) => {
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (!adminIds.includes(req.user.userId)) {
+    return next(new AuthorizationError('Administrator access required'));
+  }
+  next();
+};
+
+// Routes that manage credentials or sessions need a real login
+const requireSession = (req, res, next) => {
+  if (req.user.tokenId) {
+    return next(new AuthorizationError('Personal access tokens cannot be used for this request'));
+  }
+  next();
+};
+
+module.exports = {
+  PERMISSIONS,
+  requirePermission,
+  fromParam,
+  targetWorkspace,
+  requireScope,
+  requireScopes,
+  requireAdmin,
+  requireSession
+};
@@ -3,7 +3,7 @@ const { ValidationError } = require("../utils/errors");
 
 const validate = (schema, property = "body") => {
   return (req, res, next) => {
-    const { error } = schema.validate(req[property]);
+    const { error, value } = schema.validate(req[property]);
 
     if (error) {
       const errorMessage = error.details
@@ -12,6 +12,8 @@ const validate = (schema, property = "body") => {
       return next(new ValidationError(errorMessage));
     }
 
+    // Handlers see the converted value (trimmed, defaults applied, ...)
+    req[property] = value;
     next();
   };
 };
@@ -19,6 +21,10 @@ const validate = (schema, property = "body") => {
 // CUID pattern for validation (Prisma's default CUID format)
 const CUID_PATTERN = /^c[a-z0-9]{24}$/;
 
+// Repository path patterns: GitHub "owner/repo", GitLab "group/[subgroup/...]project"
+const GITHUB_REPO_PATTERN = /^[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/;
+const GITLAB_PROJECT_PATTERN = /^[a-zA-Z0-9._-]+(\/[a-zA-Z0-9._-]+){1,20}$/;
+
 // Common validation schemas
 const schemas = {
   // Auth validation
@@ -27,25 +33,306 @@ const schemas = {
       "any.required": "GitHub authorization code is required",
       "string.empty": "GitHub authorization code cannot be empty",
     }),
+    host: Joi.string().hostname().lowercase().messages({
+      "string.hostname": "GitHub host must be a valid hostname",
+    }),
+  }),
+
+  githubAuthorize: Joi.object({
+    host: Joi.string().hostname().lowercase().messages({
+      "string.hostname": "GitHub host must be a valid hostname",
+    }),
+  }),
+
+  // The provider redirects back with either a code or an error, plus the state
+  oauthCallback: Joi.object({
+    state: Joi.string().max(200).required().messages({
+      "any.required": "OAuth state is required",
+    }),
+    code: Joi.string().when("error", {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required(),
+    }).messages({
+      "any.required": "GitHub authorization code is required",
+    }),
+    error: Joi.string(),
+    error_description: Joi.string().allow(""),
+    error_uri: Joi.string().allow(""),
+  }),
+
+  // bcrypt only uses the first 72 bytes of a password
+  register: Joi.object({
+    email: Joi.string().email().lowercase().max(254).required().messages({
+      "any.required": "Email is required",
+      "string.email": "Email must be a valid email address",
+    }),
+    password: Joi.string().min(10).max(72).required().messages({
+      "any.required": "Password is required",
+      "string.min": "Password must be at least 10 characters",
+      "string.max": "Password must be at most 72 characters",
+    }),
+    username: Joi.string().trim().min(1).max(100),
+  }),
+
+  login: Joi.object({
+    email: Joi.string().email().required().messages({
+      "any.required": "Email is required",
+      "string.email": "Email must be a valid email address",
+    }),
+    password: Joi.string().max(72).required().messages({
+      "any.required": "Password is required",
+    }),
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().max(200).required().messages({
+      "any.required": "Verification token is required",
+    }),
+  }),
+
+  resendVerification: Joi.object({
+    email: Joi.string().email().required().messages({
+      "any.required": "Email is required",
+      "string.email": "Email must be a valid email address",
+    }),
+  }),
+
+  setPassword: Joi.object({
+    password: Joi.string().min(10).max(72).required().messages({
+      "any.required": "Password is required",
+      "string.min": "Password must be at least 10 characters",
+      "string.max": "Password must be at most 72 characters",
+    }),
+    currentPassword: Joi.string().max(72),
+  }),
+
+  revokeAccessToken: Joi.object({
+    token: Joi.string().max(4096).required().messages({
+      "any.required": "Token is required",
+    }),
+  }),
+
+  // Admins revoke a token they have, or one known by its id (e.g. from logs)
+  adminRevokeAccessToken: Joi.object({
+    token: Joi.string().max(4096),
+    jti: Joi.string().guid(),
+    expiresAt: Joi.date().iso(),
+  })
+    .xor("token", "jti")
+    .with("expiresAt", "jti")
+    .messages({
+      "object.missing": "Token or jti is required",
+      "object.xor": "Give either a token or a jti, not both",
+    }),
+
+  connectGitlab: Joi.object({
+    token: Joi.string().max(500).required().messages({
+      "any.required": "GitLab access token is required",
+    }),
   }),
 
   refreshToken: Joi.object({
-    token: Joi.string().required().messages({
+    refreshToken: Joi.string().required().messages({
       "any.required": "Refresh token is required",
       "string.empty": "Refresh token cannot be empty",
     }),
   }),
 
+  // Personal access token validation
+  createAccessToken: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "any.required": "Token name is required",
+      "string.empty": "Token name cannot be empty",
+    }),
+    scopes: Joi.array()
+      .items(
+        Joi.string().valid(
+          "analyses:read",
+          "analyses:write",
+          "repositories:read",
+          "repositories:write",
+          "workspaces:read",
+          "workspaces:write"
+        )
+      )
+      .min(1)
+      .required()
+      .messages({
+        "any.only":
+          "Scopes must be analyses, repositories or workspaces with :read or :write",
+        "array.min": "At least one scope is required",
+        "any.required": "Scopes are required",
+      }),
+    expiresInDays: Joi.number().integer().min(1).max(365).optional(),
+  }),
+
   // Repository validation
   createRepository: Joi.object({
+    provider: Joi.string()
+      .valid("github", "gitlab")
+      .insensitive()
+      .default("github")
+      .messages({
+        "any.only": "Provider must be either github or gitlab",
+      }),
     fullName: Joi.string()
-      .pattern(/^[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/)
       .required()
+      .when("provider", {
+        is: Joi.string().valid("gitlab").insensitive(),
+        then: Joi.string().pattern(GITLAB_PROJECT_PATTERN).messages({
+          "string.pattern.base":
+            'GitLab project path must be in format "group/[subgroup/]project"',
+        }),
+        otherwise: Joi.string().pattern(GITHUB_REPO_PATTERN).messages({
+          "string.pattern.base":
+            'Repository name must be in format "owner/repository"',
+        }),
+      })
       .messages({
-        "string.pattern.base":
-          'Repository name must be in format "owner/repository"',
         "any.required": "Repository full name is required",
       }),
+    workspaceId: Joi.string().pattern(CUID_PATTERN).optional().messages({
+      "string.pattern.base": "Workspace ID must be a valid CUID",
+    }),
+  }),
+
+  // Repository discovery filters
+  discoverRepositoriesQuery: Joi.object({
+    owner: Joi.string().max(100).optional(),
+    language: Joi.string().max(50).optional(),
+    visibility: Joi.string().valid("all", "public", "private").default("all"),
+    permission: Joi.string()
+      .valid("pull", "triage", "push", "maintain", "admin")
+      .optional()
+      .messages({
+        "any.only":
+          "Permission must be one of pull, triage, push, maintain or admin",
+      }),
+    connected: Joi.boolean().optional(),
+    includeArchived: Joi.boolean().default(false),
+  }),
+
+  // Bulk repository connection (GitHub repositories on the user's host)
+  bulkConnectRepositories: Joi.object({
+    repositories: Joi.array()
+      .items(
+        Joi.string().pattern(GITHUB_REPO_PATTERN).messages({
+          "string.pattern.base":
+            'Repository name must be in format "owner/repository"',
+        })
+      )
+      .min(1)
+      .max(100)
+      .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+      .required()
+      .messages({
+        "array.min": "At least one repository is required",
+        "array.max": "At most 100 repositories can be connected at once",
+        "array.unique": "Repositories must not contain duplicates",
+        "any.required": "Repositories are required",
+      }),
+    workspaceId: Joi.string().pattern(CUID_PATTERN).optional().messages({
+      "string.pattern.base": "Workspace ID must be a valid CUID",
+    }),
+  }),
+
+  // Workspace validation
+  createWorkspace: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "any.required": "Workspace name is required",
+      "string.empty": "Workspace name cannot be empty",
+    }),
+  }),
+
+  updateWorkspace: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "any.required": "Workspace name is required",
+      "string.empty": "Workspace name cannot be empty",
+    }),
+  }),
+
+  // Members are found by their username on the caller's GitHub host, or by
+  // email for people who don't sign in with GitHub
+  addWorkspaceMember: Joi.object({
+    username: Joi.string().max(100),
+    email: Joi.string().email().lowercase().max(254),
+    role: Joi.string()
+      .valid("OWNER", "ADMIN", "MEMBER", "VIEWER")
+      .default("MEMBER")
+      .messages({
+        "any.only": "Role must be one of OWNER, ADMIN, MEMBER or VIEWER",
+      }),
+  })
+    .xor("username", "email")
+    .messages({
+      "object.missing": "Username or email is required",
+      "object.xor": "Give either a username or an email, not both",
+    }),
+
+  updateWorkspaceMember: Joi.object({
+    role: Joi.string()
+      .valid("OWNER", "ADMIN", "MEMBER", "VIEWER")
+      .required()
+      .messages({
+        "any.only": "Role must be one of OWNER, ADMIN, MEMBER or VIEWER",
+        "any.required": "Role is required",
+      }),
+  }),
+
+  workspaceMemberParams: Joi.object({
+    id: Joi.string().pattern(CUID_PATTERN).required().messages({
+      "string.pattern.base": "Workspace ID must be a valid CUID",
+      "any.required": "Workspace ID is required",
+    }),
+    userId: Joi.string().pattern(CUID_PATTERN).required().messages({
+      "string.pattern.base": "User ID must be a valid CUID",
+      "any.required": "User ID is required",
+    }),
+  }),
+
+  // Share link validation
+  createAnalysisShare: Joi.object({
+    expiresInHours: Joi.number().integer().min(1).max(720).optional().messages({
+      "number.min": "Share links must be valid for at least 1 hour",
+      "number.max": "Share links can be valid for at most 720 hours (30 days)",
+    }),
+  }),
+
+  analysisShareParams: Joi.object({
+    id: Joi.string().pattern(CUID_PATTERN).required().messages({
+      "string.pattern.base": "Analysis ID must be a valid CUID",
+      "any.required": "Analysis ID is required",
+    }),
+    shareId: Joi.string().pattern(CUID_PATTERN).required().messages({
+      "string.pattern.base": "Share ID must be a valid CUID",
+      "any.required": "Share ID is required",
+    }),
+  }),
+
+  shareToken: Joi.object({
+    token: Joi.string()
+      .max(2048)
+      .pattern(/^[\w-]+\.[\w-]+\.[\w-]+$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Share token is malformed",
+        "any.required": "Share token is required",
+      }),
+  }),
+
+  // Uploaded diff validation (unified diff or git format-patch mailbox)
+  uploadAnalysis: Joi.object({
+    diff: Joi.string()
+      .pattern(/^(diff --git |--- |From [0-9a-f]{40} )/m)
+      .required()
+      .messages({
+        "any.required": "Diff is required",
+        "string.empty": "Diff cannot be empty",
+        "string.pattern.base":
+          "Diff must be a unified diff or a git format-patch mailbox",
+      }),
+    title: Joi.string().trim().max(255).optional(),
   }),
 
   // Analysis validation
@@ -104,11 +391,11 @@ const schemas = {
     page: Joi.number().integer().min(1).max(1000).default(1),
     limit: Joi.number().integer().min(1).max(50).default(10),
     status: Joi.string()
-      .valid("PENDING", "PROCESSING", "COMPLETED", "FAILED")
+      .valid("PENDING", "PROCESSING", "COMPLETED", "FAILED", "SUPERSEDED")
       .optional()
       .messages({
         "any.only":
-          "Status must be one of: PENDING, PROCESSING, COMPLETED, FAILED",
+          "Status must be one of: PENDING, PROCESSING, COMPLETED, FAILED, SUPERSEDED",
       }),
     repositoryId: Joi.string().pattern(CUID_PATTERN).optional().messages({
       "string.pattern.base": "Repository ID must be a valid CUID",
@@ -139,7 +426,14 @@ const customValidators = {
    * Validate GitHub repository name format
    */
   isGitHubRepoName: (value) => {
-    return /^[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/.test(value);
+    return GITHUB_REPO_PATTERN.test(value);
+  },
+
+  /**
+   * Validate GitLab project path format (supports nested subgroups)
+   */
+  isGitLabProjectPath: (value) => {
+    return GITLAB_PROJECT_PATTERN.test(value);
   },
 
   /**
@@ -157,8 +451,10 @@ const validateMultiple = (validations) => {
     const errors = [];
 
     for (const { schema, property = "body", name } of validations) {
-      const { error } = schema.validate(req[property]);
-      if (error) {
+      const { error, value } = schema.validate(req[property]);
+      if (!error) {
+        req[property] = value;
+      } else {
         const propertyName = name || property;
         errors.push(
           `${propertyName}: ${error.details.map((d) => d.message).join(", ")}`
@@ -206,4 +502,6 @@ module.exports = {
   schemas,
   customValidators,
   CUID_PATTERN,
+  GITHUB_REPO_PATTERN,
+  GITLAB_PROJECT_PATTERN,
 };
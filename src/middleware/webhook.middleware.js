@@ -0,0 +1,48 @@
+const crypto = require("crypto");
+const { AppError, AuthenticationError } = require("../utils/errors");
+const { DEFAULT_HOST, getHost, isKnownHost } = require("../config/github");
+
+/**
+ * Verify the X-Hub-Signature-256 header GitHub sends with every delivery.
+ * Requires the raw request body captured by the JSON/urlencoded parsers.
+ * Enterprise Server deliveries are verified with their host's secret and
+ * the host is exposed as req.githubHost.
+ */
+const verifyGithubSignature = (req, res, next) => {
+  const host = (req.get("X-GitHub-Enterprise-Host") || DEFAULT_HOST).toLowerCase();
+  if (!isKnownHost(host)) {
+    return next(new AuthenticationError(`Unknown GitHub host: ${host}`));
+  }
+
+  const secret = getHost(host).webhookSecret;
+  if (!secret) {
+    return next(new AppError("GitHub webhook secret is not configured", 500));
+  }
+
+  const signature = req.get("X-Hub-Signature-256");
+  if (!signature || !req.rawBody) {
+    return next(new AuthenticationError("Missing webhook signature"));
+  }
+
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(req.rawBody)
+    .digest("hex")}`;
+
+  const received = Buffer.from(signature);
+  const computed = Buffer.from(expected);
+
+  if (
+    received.length !== computed.length ||
+    !crypto.timingSafeEqual(received, computed)
+  ) {
+    return next(new AuthenticationError("Invalid webhook signature"));
+  }
+
+  req.githubHost = host;
+  next();
+};
+
+module.exports = {
+  verifyGithubSignature,
+};
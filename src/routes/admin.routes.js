@@ -0,0 +1,26 @@
+const express = require("express");
+const adminController = require("../controllers/admin.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const {
+  requireAdmin,
+  requireSession,
+} = require("../middleware/permission.middleware");
+const { validate, schemas } = require("../middleware/validation.middleware");
+
+const router = express.Router();
+
+// Administration needs a login session of a user listed in ADMIN_USER_IDS
+router.use(authMiddleware, requireSession, requireAdmin);
+
+/**
+ * @route   POST /api/admin/tokens/revoke
+ * @desc    Revoke an access token by the token itself or its jti
+ * @access  Private (administrators)
+ */
+router.post(
+  "/tokens/revoke",
+  validate(schemas.adminRevokeAccessToken),
+  adminController.revokeAccessToken
+);
+
+module.exports = router;
@@ -1,15 +1,23 @@
 const express = require("express");
 const rateLimit = require("express-rate-limit");
 const analysisController = require("../controllers/analysis.controller");
+const shareController = require("../controllers/share.controller");
 const authMiddleware = require("../middleware/auth.middleware");
 const { validate, schemas } = require("../middleware/validation.middleware");
+const {
+  requirePermission,
+  requireScopes,
+  fromParam,
+} = require("../middleware/permission.middleware");
 const { ValidationError } = require("../utils/errors");
 const Joi = require("joi");
 
 const router = express.Router();
 
-// All analysis routes require authentication
+// All analysis routes require authentication (and the analyses scopes for
+// personal access tokens)
 router.use(authMiddleware);
+router.use(requireScopes("analyses"));
 
 // Rate limiting for analysis creation (more restrictive)
 const analysisCreationLimit = rateLimit({
@@ -68,16 +76,42 @@ const analysisSchemas = {
     }),
   }),
 
+  // Compare analysis validation (branch names, tags or commit SHAs)
+  createCompareAnalysis: Joi.object({
+    base: Joi.string()
+      .trim()
+      .max(255)
+      .pattern(/^[^\s~^:?*[\\]+$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Base must be a valid branch, tag or commit",
+        "any.required": "Base ref is required",
+      }),
+    head: Joi.string()
+      .trim()
+      .max(255)
+      .pattern(/^[^\s~^:?*[\\]+$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Head must be a valid branch, tag or commit",
+        "any.required": "Head ref is required",
+      }),
+  }),
+
   // Query parameters validation for getUserAnalyses
   getUserAnalysesQuery: Joi.object({
     page: Joi.number().integer().min(1).max(1000).default(1),
     limit: Joi.number().integer().min(1).max(50).default(10),
     status: Joi.string()
-      .valid("PENDING", "PROCESSING", "COMPLETED", "FAILED")
+      .valid("PENDING", "PROCESSING", "COMPLETED", "FAILED", "SUPERSEDED")
       .optional(),
     repositoryId: Joi.string()
       .pattern(/^c[a-z0-9]{24}$/) // CUID v2 regex (adjust if you use v1)
       .optional(),
+    type: Joi.string().valid("PULL_REQUEST", "COMPARE", "UPLOAD").optional(),
+    workspaceId: Joi.string()
+      .pattern(/^c[a-z0-9]{24}$/) // CUID v2 regex (adjust if you use v1)
+      .optional(),
     sortBy: Joi.string()
       .valid("createdAt", "completedAt", "status", "prNumber")
       .default("createdAt"),
@@ -96,6 +130,31 @@ const analysisSchemas = {
       }),
   }),
 
+  // Repository ID and PR number validation for params
+  pullRequestParams: Joi.object({
+    id: Joi.string()
+      .pattern(/^c[a-z0-9]{24}$/) // CUID v2 regex (adjust if you use v1)
+      .required()
+      .messages({
+        "string.pattern.base": "Repository ID must be a valid CUID",
+        "any.required": "Repository ID is required",
+      }),
+    prNumber: Joi.number().integer().min(1).max(99999).required().messages({
+      "number.base": "PR number must be a number",
+      "any.required": "PR number is required",
+    }),
+  }),
+
+  // Query parameters validation for compareAnalyses
+  compareAnalysesQuery: Joi.object({
+    baseId: Joi.string()
+      .pattern(/^c[a-z0-9]{24}$/) // CUID v2 regex (adjust if you use v1)
+      .optional()
+      .messages({
+        "string.pattern.base": "Base analysis ID must be a valid CUID",
+      }),
+  }),
+
   // Analysis ID validation for params
   analysisId: Joi.object({
     id: Joi.string()
@@ -109,38 +168,20 @@ const analysisSchemas = {
   }),
 };
 
-// Middleware to validate repository access
-const validateRepositoryAccess = async (req, res, next) => {
-  try {
-    const { id: repositoryId } = req.params;
-    const userId = req.user.userId;
-
-    // This could be expanded to check Redis cache first
-    const prisma = require("../config/database");
-    const repository = await prisma.repository.findFirst({
-      where: {
-        id: repositoryId,
-        userId: userId,
-        isActive: true,
-      },
-      select: {
-        id: true,
-        name: true,
-        fullName: true,
-      },
-    });
-
-    if (!repository) {
-      return next(new ValidationError("Repository not found or access denied"));
+// Accept diff uploads as raw text (e.g. `curl --data-binary @0001.patch`)
+// as well as JSON, within the same 10mb limit as other request bodies
+const parseDiffUpload = [
+  express.text({ type: ["text/*", "application/mbox"], limit: "10mb" }),
+  (req, res, next) => {
+    if (typeof req.body === "string") {
+      req.body = {
+        diff: req.body,
+        ...(req.query.title && { title: req.query.title }),
+      };
     }
-
-    // Add repository info to request for use in controller
-    req.repository = repository;
     next();
-  } catch (error) {
-    next(error);
-  }
-};
+  },
+];
 
 // Middleware to log analysis requests for monitoring
 const logAnalysisRequest = (action) => {
@@ -166,7 +207,7 @@ const logAnalysisRequest = (action) => {
 /**
  * @route   POST /api/repositories/:id/analyze
  * @desc    Create a new code analysis for a pull request
- * @access  Private
+ * @access  Private (members)
  * @ratelimit 5 requests per 15 minutes per user
  */
 router.post(
@@ -174,19 +215,78 @@ router.post(
   analysisCreationLimit,
   validate(analysisSchemas.repositoryId, "params"),
   validate(analysisSchemas.createAnalysis, "body"),
-  validateRepositoryAccess,
+  requirePermission("analysis:create", fromParam("repository")),
   logAnalysisRequest("create"),
   analysisController.createAnalysis
 );
 
+/**
+ * @route   POST /api/analyses/uploads
+ * @desc    Create a code analysis of an uploaded unified diff or git
+ *          format-patch mailbox, without a connected repository
+ * @access  Private
+ * @ratelimit 5 requests per 15 minutes per user
+ * @query   title (for raw text uploads)
+ */
+router.post(
+  "/uploads",
+  analysisCreationLimit,
+  parseDiffUpload,
+  validate(analysisSchemas.uploadAnalysis, "body"),
+  logAnalysisRequest("upload"),
+  analysisController.createUploadAnalysis
+);
+
+/**
+ * @route   POST /api/analyses/repositories/:id/compare
+ * @desc    Create a code analysis of the changes between two refs
+ * @access  Private (members)
+ * @ratelimit 5 requests per 15 minutes per user
+ */
+router.post(
+  "/repositories/:id/compare",
+  analysisCreationLimit,
+  validate(analysisSchemas.repositoryId, "params"),
+  validate(analysisSchemas.createCompareAnalysis, "body"),
+  requirePermission("analysis:create", fromParam("repository")),
+  logAnalysisRequest("compare_create"),
+  analysisController.createCompareAnalysis
+);
+
+/**
+ * @route   GET /api/analyses/repositories/:id/pulls/:prNumber
+ * @desc    List all analyses of a pull request (one per head commit)
+ * @access  Private (viewers)
+ */
+router.get(
+  "/repositories/:id/pulls/:prNumber",
+  validate(analysisSchemas.pullRequestParams, "params"),
+  requirePermission("repository:read"),
+  logAnalysisRequest("history"),
+  analysisController.getPullRequestAnalyses
+);
+
+/**
+ * @route   GET /api/analyses/:id/status
+ * @desc    Get the status of an analysis (lightweight, for polling)
+ * @access  Private (viewers)
+ */
+router.get(
+  "/:id/status",
+  validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:read"),
+  analysisController.getAnalysisStatus
+);
+
 /**
  * @route   GET /api/analyses/:id
  * @desc    Get analysis results with suggestions
- * @access  Private
+ * @access  Private (viewers)
  */
 router.get(
   "/:id",
   validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:read"),
   logAnalysisRequest("get"),
   analysisController.getAnalysis
 );
@@ -195,7 +295,7 @@ router.get(
  * @route   GET /api/analyses
  * @desc    Get user's analyses with pagination and filtering
  * @access  Private
- * @query   page, limit, status, repositoryId, sortBy, sortOrder
+ * @query   page, limit, status, repositoryId, type, sortBy, sortOrder
  */
 router.get(
   "/",
@@ -207,11 +307,12 @@ router.get(
 /**
  * @route   DELETE /api/analyses/:id
  * @desc    Delete an analysis
- * @access  Private
+ * @access  Private (admins, or the member who ran it)
  */
 router.delete(
   "/:id",
   validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:delete"),
   logAnalysisRequest("delete"),
   analysisController.deleteAnalysis
 );
@@ -233,17 +334,17 @@ router.get(
 /**
  * @route   POST /api/analyses/:id/rerun
  * @desc    Rerun a failed analysis
- * @access  Private
+ * @access  Private (members)
  */
 router.post(
   "/:id/rerun",
   analysisCreationLimit,
   validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:create"),
   logAnalysisRequest("rerun"),
   async (req, res, next) => {
     try {
       const { id: analysisId } = req.params;
-      const userId = req.user.userId;
 
       // Get the original analysis
       const prisma = require("../config/database");
@@ -260,67 +361,118 @@ router.post(
         },
       });
 
-      if (!originalAnalysis) {
-        return next(new ValidationError("Analysis not found"));
-      }
-
-      if (originalAnalysis.userId !== userId) {
-        return next(new ValidationError("Access denied to this analysis"));
-      }
-
       if (originalAnalysis.status !== "FAILED") {
         return next(new ValidationError("Can only rerun failed analyses"));
       }
 
-      // Set up request parameters for createAnalysis controller
-      req.params.id = originalAnalysis.repositoryId;
-      req.body = { prNumber: originalAnalysis.prNumber };
-      req.repository = originalAnalysis.repository;
-
-      // Delete the failed analysis
-      await prisma.analysis.delete({
-        where: { id: analysisId },
-      });
+      // Reset the failed analysis and queue it again (same flow as
+      // re-requested GitHub check runs)
+      const analysisService = require("../services/analysis.service");
+      const ApiResponse = require("../utils/response");
+      const analysis = await analysisService.rerunAnalysis(analysisId);
 
-      // Call the create analysis controller
-      analysisController.createAnalysis(req, res, next);
+      ApiResponse.accepted(
+        res,
+        {
+          analysisId: analysis.id,
+          status: analysis.status,
+          commitSha: analysis.commitSha,
+          repositoryName: originalAnalysis.repository?.name || null,
+          prNumber: analysis.prNumber,
+          createdAt: analysis.createdAt,
+        },
+        "Analysis rerun started"
+      );
     } catch (error) {
       next(error);
     }
   }
 );
 
+/**
+ * @route   GET /api/analyses/:id/compare
+ * @desc    Classify suggestions as new, resolved or persisting since an
+ *          earlier analysis of the same pull request
+ * @access  Private (viewers)
+ * @query   baseId (defaults to the previous analysis of the PR)
+ */
+router.get(
+  "/:id/compare",
+  validate(analysisSchemas.analysisId, "params"),
+  validate(analysisSchemas.compareAnalysesQuery, "query"),
+  requirePermission("analysis:read"),
+  logAnalysisRequest("compare"),
+  analysisController.compareAnalyses
+);
+
+/**
+ * @route   POST /api/analyses/:id/publish
+ * @desc    Publish suggestions to the pull request as a GitHub review
+ * @access  Private (members)
+ */
+router.post(
+  "/:id/publish",
+  validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:publish"),
+  logAnalysisRequest("publish"),
+  analysisController.publishAnalysis
+);
+
+/**
+ * @route   POST /api/analyses/:id/shares
+ * @desc    Create a signed, expiring read-only link to the analysis
+ * @access  Private (members)
+ */
+router.post(
+  "/:id/shares",
+  validate(analysisSchemas.analysisId, "params"),
+  validate(analysisSchemas.createAnalysisShare),
+  requirePermission("analysis:share"),
+  logAnalysisRequest("share"),
+  shareController.createShare
+);
+
+/**
+ * @route   GET /api/analyses/:id/shares
+ * @desc    List the analysis' share links with their recent accesses
+ * @access  Private (members)
+ */
+router.get(
+  "/:id/shares",
+  validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:share"),
+  shareController.getShares
+);
+
+/**
+ * @route   DELETE /api/analyses/:id/shares/:shareId
+ * @desc    Revoke a share link
+ * @access  Private (members)
+ */
+router.delete(
+  "/:id/shares/:shareId",
+  validate(analysisSchemas.analysisShareParams, "params"),
+  requirePermission("analysis:share"),
+  logAnalysisRequest("revoke_share"),
+  shareController.revokeShare
+);
+
 /**
  * @route   GET /api/analyses/:id/suggestions
  * @desc    Get only suggestions for an analysis (lightweight endpoint)
- * @access  Private
+ * @access  Private (viewers)
  */
 router.get(
   "/:id/suggestions",
   validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:read"),
   async (req, res, next) => {
     try {
       const { id: analysisId } = req.params;
-      const userId = req.user.userId;
       const { severity, category, page = 1, limit = 20 } = req.query;
 
       const prisma = require("../config/database");
       const ApiResponse = require("../utils/response");
-      const { NotFoundError, AuthorizationError } = require("../utils/errors");
-
-      // Verify analysis ownership
-      const analysis = await prisma.analysis.findUnique({
-        where: { id: analysisId },
-        select: { userId: true, status: true },
-      });
-
-      if (!analysis) {
-        throw new NotFoundError("Analysis not found");
-      }
-
-      if (analysis.userId !== userId) {
-        throw new AuthorizationError("Access denied to this analysis");
-      }
 
       // Build where clause for suggestions
       const whereClause = { analysisId };
@@ -360,7 +512,7 @@ router.get(
           totalPages: Math.ceil(totalCount / limitNum),
         },
         filters: { severity, category },
-        analysisStatus: analysis.status,
+        analysisStatus: req.analysis.status,
       };
 
       ApiResponse.success(
@@ -377,12 +529,13 @@ router.get(
 /**
  * @route   GET /api/analyses/:id/export
  * @desc    Export analysis results in different formats
- * @access  Private
+ * @access  Private (viewers)
  * @query   format (json, csv)
  */
 router.get(
   "/:id/export",
   validate(analysisSchemas.analysisId, "params"),
+  requirePermission("analysis:read"),
   async (req, res, next) => {
     try {
       const { id: analysisId } = req.params;
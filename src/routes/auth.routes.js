@@ -1,16 +1,79 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/auth.controller');
+const tokenController = require('../controllers/token.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const { validate, schemas } = require('../middleware/validation.middleware');
+const { requireSession } = require('../middleware/permission.middleware');
 
 const router = express.Router();
 
+// Password logins and emails can be abused, so limit how fast they're tried
+const credentialLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many attempts. Please try again later.',
+      type: 'RATE_LIMIT_EXCEEDED'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Public routes
+router.get('/github/hosts', authController.getGithubHosts);
+
 router.post('/github', 
   validate(schemas.githubLogin), 
   authController.githubLogin
 );
 
+// Server-side OAuth flow with state (and PKCE where supported)
+router.get('/github/authorize', 
+  validate(schemas.githubAuthorize, 'query'), 
+  authController.githubAuthorize
+);
+
+router.get('/github/callback', 
+  validate(schemas.oauthCallback, 'query'), 
+  authController.githubCallback
+);
+
+// OpenID Connect (SSO) login
+router.get('/oidc/authorize', authController.oidcAuthorize);
+
+router.get('/oidc/callback', 
+  validate(schemas.oauthCallback, 'query'), 
+  authController.oidcCallback
+);
+
+// Local accounts (email and password)
+router.post('/register', 
+  credentialLimit, 
+  validate(schemas.register), 
+  authController.register
+);
+
+router.post('/login', 
+  credentialLimit, 
+  validate(schemas.login), 
+  authController.login
+);
+
+router.post('/verify-email', 
+  validate(schemas.verifyEmail), 
+  authController.verifyEmail
+);
+
+router.post('/verify-email/resend', 
+  credentialLimit, 
+  validate(schemas.resendVerification), 
+  authController.resendVerification
+);
+
 router.post('/refresh', 
   validate(schemas.refreshToken), 
   authController.refreshToken
@@ -24,7 +87,106 @@ router.get('/me',
 
 router.post('/logout', 
   authMiddleware, 
+  requireSession, 
   authController.logout
 );
 
+router.put('/password', 
+  credentialLimit, 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.setPassword), 
+  authController.setPassword
+);
+
+// Accounts the user can sign in with
+router.get('/identities', 
+  authMiddleware, 
+  requireSession, 
+  authController.getIdentities
+);
+
+router.post('/identities/github', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.githubLogin), 
+  authController.linkGithub
+);
+
+router.delete('/identities/:id', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.id, 'params'), 
+  authController.unlinkIdentity
+);
+
+// Revoke a single access token
+router.post('/revoke', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.revokeAccessToken), 
+  authController.revokeAccessToken
+);
+
+// GitLab access token used for the user's GitLab projects
+router.get('/gitlab', 
+  authMiddleware, 
+  requireSession, 
+  authController.getGitlabAccount
+);
+
+router.put('/gitlab', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.connectGitlab), 
+  authController.connectGitlab
+);
+
+router.delete('/gitlab', 
+  authMiddleware, 
+  requireSession, 
+  authController.disconnectGitlab
+);
+
+// Signed-in devices
+router.get('/sessions', 
+  authMiddleware, 
+  requireSession, 
+  authController.getSessions
+);
+
+router.delete('/sessions', 
+  authMiddleware, 
+  requireSession, 
+  authController.revokeAllSessions
+);
+
+router.delete('/sessions/:id', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.id, 'params'), 
+  authController.revokeSession
+);
+
+// Personal access tokens for CI and scripts (managed from a login session)
+router.get('/tokens', 
+  authMiddleware, 
+  requireSession, 
+  tokenController.getTokens
+);
+
+router.post('/tokens', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.createAccessToken), 
+  tokenController.createToken
+);
+
+router.delete('/tokens/:id', 
+  authMiddleware, 
+  requireSession, 
+  validate(schemas.id, 'params'), 
+  tokenController.revokeToken
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,32 +2,55 @@ const express = require('express');
 const repositoryController = require('../controllers/repository.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const { validate, schemas } = require('../middleware/validation.middleware');
+const { requirePermission, requireScopes, targetWorkspace } = require('../middleware/permission.middleware');
 
 const router = express.Router();
 
-// All repository routes require authentication
+// All repository routes require authentication (and the repositories scopes
+// for personal access tokens)
 router.use(authMiddleware);
+router.use(requireScopes('repositories'));
 
 router.get('/', repositoryController.getRepositories);
 
+// Connecting and disconnecting repositories requires the ADMIN role
 router.post('/', 
   validate(schemas.createRepository), 
+  requirePermission('repository:manage', targetWorkspace), 
   repositoryController.createRepository
 );
 
+// Browse accessible GitHub repositories and connect many at once
+router.get('/discover', 
+  validate(schemas.discoverRepositoriesQuery, 'query'), 
+  repositoryController.discoverRepositories
+);
+
+router.post('/bulk', 
+  validate(schemas.bulkConnectRepositories), 
+  requirePermission('repository:manage', targetWorkspace), 
+  repositoryController.bulkConnectRepositories
+);
+
+// GitHub rate limit and response cache statistics
+router.get('/github/diagnostics', repositoryController.getGithubDiagnostics);
+
 router.get('/:id', 
   validate(schemas.id, 'params'), 
+  requirePermission('repository:read'), 
   repositoryController.getRepository
 );
 
 router.delete('/:id', 
   validate(schemas.id, 'params'), 
+  requirePermission('repository:manage'), 
   repositoryController.deleteRepository
 );
 
 // Get pull requests for a repository
 router.get('/:id/pulls', 
   validate(schemas.id, 'params'), 
+  requirePermission('repository:read'), 
   repositoryController.getRepositoryPullRequests
 );
 
@@ -0,0 +1,35 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const shareController = require("../controllers/share.controller");
+const { validate, schemas } = require("../middleware/validation.middleware");
+
+const router = express.Router();
+
+// Shared links are public, so limit how fast tokens can be tried
+const sharedAnalysisLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: {
+    success: false,
+    error: {
+      message: "Too many requests for shared analyses. Please slow down.",
+      type: "RATE_LIMIT_EXCEEDED",
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * @route   GET /api/shared/analyses/:token
+ * @desc    Get an analysis through a share link (read-only, no user details)
+ * @access  Public (valid, unexpired and unrevoked share token)
+ */
+router.get(
+  "/analyses/:token",
+  sharedAnalysisLimit,
+  validate(schemas.shareToken, "params"),
+  shareController.getSharedAnalysis
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const Joi = require("joi");
+const webhookController = require("../controllers/webhook.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { verifyGithubSignature } = require("../middleware/webhook.middleware");
+const { requireScope } = require("../middleware/permission.middleware");
+const {
+  validate,
+  CUID_PATTERN,
+} = require("../middleware/validation.middleware");
+
+const router = express.Router();
+
+const deliveriesQuery = Joi.object({
+  page: Joi.number().integer().min(1).max(1000).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  outcome: Joi.string()
+    .valid("RECEIVED", "PROCESSED", "IGNORED", "FAILED")
+    .optional(),
+  repositoryId: Joi.string().pattern(CUID_PATTERN).optional(),
+}).unknown(false);
+
+/**
+ * @route   POST /api/webhooks/github
+ * @desc    Receive GitHub webhook deliveries
+ * @access  Public (HMAC signed)
+ */
+router.post(
+  "/github",
+  verifyGithubSignature,
+  webhookController.receiveGithubWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    List recorded webhook deliveries for the user's repositories
+ * @access  Private
+ * @query   page, limit, outcome, repositoryId
+ */
+router.get(
+  "/deliveries",
+  authMiddleware,
+  requireScope("repositories:read"),
+  validate(deliveriesQuery, "query"),
+  webhookController.getDeliveries
+);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require("express");
+const workspaceController = require("../controllers/workspace.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { validate, schemas } = require("../middleware/validation.middleware");
+const {
+  requirePermission,
+  requireScopes,
+} = require("../middleware/permission.middleware");
+
+const router = express.Router();
+
+// All workspace routes require authentication (and the workspaces scopes
+// for personal access tokens)
+router.use(authMiddleware);
+router.use(requireScopes("workspaces"));
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    List the user's workspaces (a personal one is always included)
+ * @access  Private
+ */
+router.get("/", workspaceController.getWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a shared workspace
+ * @access  Private
+ */
+router.post(
+  "/",
+  validate(schemas.createWorkspace),
+  workspaceController.createWorkspace
+);
+
+/**
+ * @route   GET /api/workspaces/:id
+ * @desc    Get a workspace with its members and repositories
+ * @access  Private (viewers)
+ */
+router.get(
+  "/:id",
+  validate(schemas.id, "params"),
+  requirePermission("workspace:read"),
+  workspaceController.getWorkspace
+);
+
+/**
+ * @route   PATCH /api/workspaces/:id
+ * @desc    Update workspace settings
+ * @access  Private (admins)
+ */
+router.patch(
+  "/:id",
+  validate(schemas.id, "params"),
+  validate(schemas.updateWorkspace),
+  requirePermission("workspace:manage"),
+  workspaceController.updateWorkspace
+);
+
+/**
+ * @route   POST /api/workspaces/:id/members
+ * @desc    Add a user to the workspace
+ * @access  Private (admins; only owners add owners)
+ */
+router.post(
+  "/:id/members",
+  validate(schemas.id, "params"),
+  validate(schemas.addWorkspaceMember),
+  requirePermission("workspace:manage"),
+  workspaceController.addMember
+);
+
+/**
+ * @route   PATCH /api/workspaces/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (admins; only owners change owners)
+ */
+router.patch(
+  "/:id/members/:userId",
+  validate(schemas.workspaceMemberParams, "params"),
+  validate(schemas.updateWorkspaceMember),
+  requirePermission("workspace:manage"),
+  workspaceController.updateMember
+);
+
+/**
+ * @route   DELETE /api/workspaces/:id/members/:userId
+ * @desc    Remove a member, or leave the workspace
+ * @access  Private (admins, or the member themselves)
+ */
+router.delete(
+  "/:id/members/:userId",
+  validate(schemas.workspaceMemberParams, "params"),
+  requirePermission("workspace:read"),
+  workspaceController.removeMember
+);
+
+module.exports = router;
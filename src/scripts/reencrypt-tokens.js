@@ -0,0 +1,35 @@
+require("dotenv").config();
+
+const prisma = require("../config/database");
+const redis = require("../config/redis");
+const sessionService = require("../services/session.service");
+const gitlabService = require("../services/gitlab.service");
+
+// Re-encrypt stored GitHub and GitLab tokens with the current key:
+//   npm run tokens:reencrypt
+const main = async () => {
+  const results = {
+    GitHub: await sessionService.reEncryptGithubTokens(),
+    GitLab: await gitlabService.reEncryptTokens(),
+  };
+
+  for (const [provider, result] of Object.entries(results)) {
+    console.log(
+      `✅ ${provider}: scanned ${result.scanned} tokens, re-encrypted ${result.reEncrypted}, failed ${result.failed}`
+    );
+
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Re-encryption failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+    redis.disconnect();
+  });
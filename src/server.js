@@ -6,11 +6,16 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 
 const { errorHandler } = require('./utils/errors');
+const analysisService = require('./services/analysis.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const repositoryRoutes = require('./routes/repository.routes');
 const analysisRoutes = require('./routes/analysis.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const workspaceRoutes = require('./routes/workspace.routes');
+const shareRoutes = require('./routes/share.routes');
+const adminRoutes = require('./routes/admin.routes');
 
 const app = express();
 
@@ -33,13 +38,21 @@ const limiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks/github'), // Webhooks are verified by signature instead
 });
 
 app.use(limiter);
 
+// Keep the raw body for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/webhooks')) {
+    req.rawBody = buf;
+  }
+};
+
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -55,6 +68,10 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/repositories', repositoryRoutes);
 app.use('/api/analyses', analysisRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/shared', shareRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -77,6 +94,9 @@ app.listen(PORT, () => {
 🌍 Environment: ${process.env.NODE_ENV || 'development'}
 📊 Health check: http://localhost:${PORT}/health
   `);
+
+  // Analyses waiting for a rate limit reset only live in memory timers
+  analysisService.resumeWaitingAnalyses();
 });
 
 // Graceful shutdown
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const prisma = require("../config/database");
+const redis = require("../config/redis");
+const mailService = require("./mail.service");
+const {
+  AuthenticationError,
+  ValidationError,
+} = require("../utils/errors");
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+const VERIFICATION_TOKEN_HOURS = 24;
+
+// Don't send another verification email sooner than this
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Local accounts: email and bcrypt-hashed password, usable once the email
+ * address has been verified. A verification link sets the password it was
+ * requested with, so only a password chosen by the owner of the mailbox
+ * ever takes effect.
+ */
+class AccountService {
+  // Compared against when the email is unknown, so a login takes as long
+  // whether or not the account exists
+  async getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = await bcrypt.hash("not-a-real-password", BCRYPT_ROUNDS);
+    }
+
+    return this.dummyHash;
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  async sendVerification(user, passwordHash) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await prisma.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        email: user.email,
+        tokenHash: this.hashToken(token),
+        passwordHash,
+        expiresAt: new Date(
+          Date.now() + VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000
+        ),
+      },
+    });
+
+    await mailService.sendVerificationEmail(user.email, token);
+  }
+
+  async register({ email, password, username }) {
+    const normalizedEmail = email.toLowerCase();
+
+    const existing = await prisma.user.findUnique({
+      where: { email: normalizedEmail },
+      include: { _count: { select: { identities: true } } },
+    });
+
+    if (existing?.emailVerifiedAt || existing?._count.identities > 0) {
+      throw new ValidationError(
+        "An account with this email already exists. Sign in to it instead"
+      );
+    }
+
+    const data = {
+      username: username || normalizedEmail.split("@")[0],
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    };
+
+    // An unverified registration may have been started by anyone, so
+    // registering again replaces it
+    const user = existing
+      ? await prisma.user.update({ where: { id: existing.id }, data })
+      : await prisma.user.create({ data: { email: normalizedEmail, ...data } });
+
+    await this.sendVerification(user, data.passwordHash);
+
+    return user;
+  }
+
+  async verifyEmail(token) {
+    const stored = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: { user: true },
+    });
+
+    // The email may have changed since the link was sent. Links from
+    // before they carried a password can't tell whose password is set
+    if (
+      !stored ||
+      stored.usedAt ||
+      stored.expiresAt <= new Date() ||
+      stored.email !== stored.user.email ||
+      !stored.passwordHash
+    ) {
+      throw new ValidationError("Invalid or expired verification link");
+    }
+
+    // The other links were sent for other passwords
+    await prisma.emailVerificationToken.updateMany({
+      where: { userId: stored.userId, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    const user = await prisma.user.update({
+      where: { id: stored.userId },
+      data: {
+        emailVerifiedAt: stored.user.emailVerifiedAt || new Date(),
+        passwordHash: stored.passwordHash,
+      },
+    });
+
+    await redis.del(`user:${user.id}`);
+
+    return user;
+  }
+
+  // Send a new verification link. Says nothing about whether the account
+  // exists, so it can't be used to look up emails. A new registration's
+  // password may have been chosen by anyone, so those register again instead
+  async resendVerification(email) {
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() },
+      include: { _count: { select: { identities: true } } },
+    });
+
+    if (
+      !user ||
+      !user.passwordHash ||
+      user.emailVerifiedAt ||
+      user._count.identities === 0
+    ) {
+      return;
+    }
+
+    const recent = await prisma.emailVerificationToken.findFirst({
+      where: {
+        userId: user.id,
+        createdAt: { gt: new Date(Date.now() - RESEND_INTERVAL_MS) },
+      },
+    });
+
+    if (!recent) {
+      await this.sendVerification(user, user.passwordHash);
+    }
+  }
+
+  async authenticate(email, password) {
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() },
+    });
+
+    const valid = await bcrypt.compare(
+      password,
+      user?.passwordHash || (await this.getDummyHash())
+    );
+
+    if (!user?.passwordHash || !valid) {
+      throw new AuthenticationError("Invalid email or password");
+    }
+
+    if (!user.emailVerifiedAt) {
+      throw new AuthenticationError(
+        "Verify your email address before signing in"
+      );
+    }
+
+    return user;
+  }
+
+  // Set or change the password of a signed-in user. Changing it requires
+  // the current one
+  async setPassword(userId, { password, currentPassword }) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (user.passwordHash) {
+      const valid =
+        currentPassword &&
+        (await bcrypt.compare(currentPassword, user.passwordHash));
+
+      if (!valid) {
+        throw new AuthenticationError("Current password is incorrect");
+      }
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { passwordHash },
+    });
+
+    await redis.del(`user:${userId}`);
+
+    // Password logins need a verified email
+    if (!user.emailVerifiedAt) {
+      await this.sendVerification(user, passwordHash);
+    }
+
+    return { emailVerified: Boolean(user.emailVerifiedAt) };
+  }
+}
+
+module.exports = new AccountService();
@@ -1,10 +1,29 @@
 const prisma = require("../config/database");
 const redis = require("../config/redis");
-const githubService = require("./github.service");
+const { getProvider, PROVIDERS } = require("./provider.service");
 const openaiService = require("./openai.service");
-const { NotFoundError, ValidationError } = require("../utils/errors");
+const checkService = require("./check.service");
+const workspaceService = require("./workspace.service");
+const {
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+} = require("../utils/errors");
+const { getContextWindows, parseUploadedDiff } = require("../utils/diff");
+const {
+  getSuggestionFingerprint,
+  diffSuggestions,
+} = require("../utils/fingerprint");
+
+// Spread analyses resuming after the same rate limit reset
+const RESUME_JITTER_MS = 30 * 1000;
 
 class AnalysisService {
+  constructor() {
+    // Timers of analyses waiting for a rate limit reset, by analysis id
+    this.scheduled = new Map();
+  }
+
   // Create a new analysis record
   async createAnalysis(data) {
     try {
@@ -12,7 +31,13 @@ class AnalysisService {
         data: {
           repositoryId: data.repositoryId,
           userId: data.userId,
-          prNumber: data.prNumber,
+          type: data.type || "PULL_REQUEST",
+          title: data.title || null,
+          prNumber: data.prNumber || null,
+          baseRef: data.baseRef || null,
+          headRef: data.headRef || null,
+          baseSha: data.baseSha || null,
+          uploadedDiff: data.uploadedDiff || null,
           commitSha: data.commitSha || "unknown",
           status: "PENDING",
           totalLines: data.totalLines || null,
@@ -27,14 +52,14 @@ class AnalysisService {
         },
       });
 
-      console.log(`Created analysis ${analysis.id} for PR #${data.prNumber}`);
+      console.log(
+        `Created analysis ${analysis.id} for ${this.describeTarget(analysis)}`
+      );
       return analysis;
     } catch (error) {
       // Handle unique constraint violation (duplicate PR analysis)
       if (error.code === "P2002") {
-        throw new ValidationError(
-          "Analysis already exists for this pull request"
-        );
+        throw new ValidationError("Analysis already exists for this commit");
       }
 
       console.error("Failed to create analysis:", error);
@@ -44,6 +69,19 @@ class AnalysisService {
 
   // Get analysis with suggestions
   async getAnalysisWithSuggestions(analysisId, userId) {
+    const analysis = await this.loadAnalysisWithSuggestions(analysisId);
+
+    // Verify the user can see it through a workspace
+    if (!(await workspaceService.canAccessAnalysis(analysis, userId))) {
+      throw new NotFoundError("Analysis not found");
+    }
+
+    return analysis;
+  }
+
+  // Load the full analysis payload without an access check (callers verify
+  // access, e.g. with a share token)
+  async loadAnalysisWithSuggestions(analysisId) {
     try {
       // Check cache first
       const cacheKey = `analysis:full:${analysisId}`;
@@ -51,14 +89,7 @@ class AnalysisService {
 
       if (cached) {
         console.log("Using cached full analysis");
-        const analysis = JSON.parse(cached);
-
-        // Verify user ownership
-        if (analysis.userId !== userId) {
-          throw new NotFoundError("Analysis not found");
-        }
-
-        return analysis;
+        return JSON.parse(cached);
       }
 
       const analysis = await prisma.analysis.findUnique({
@@ -90,22 +121,31 @@ class AnalysisService {
         throw new NotFoundError("Analysis not found");
       }
 
-      // Verify user ownership
-      if (analysis.userId !== userId) {
-        throw new NotFoundError("Analysis not found");
-      }
+      // Earlier analysis of the PR, for the summary's changes
+      const previousAnalysis = await this.getPreviousAnalysis(analysis);
 
       // Transform data for response
       const transformedAnalysis = {
         id: analysis.id,
         repositoryId: analysis.repositoryId,
         userId: analysis.userId,
+        type: analysis.type,
+        title: analysis.title,
         prNumber: analysis.prNumber,
+        baseRef: analysis.baseRef,
+        headRef: analysis.headRef,
+        baseSha: analysis.baseSha,
         commitSha: analysis.commitSha,
         status: analysis.status,
+        waitReason: analysis.waitReason,
+        resumeAt: analysis.resumeAt,
         totalLines: analysis.totalLines,
+        skippedFiles: analysis.skippedFiles || [],
+        isIncremental: analysis.isIncremental,
+        baseAnalysisId: analysis.baseAnalysisId,
         createdAt: analysis.createdAt,
         completedAt: analysis.completedAt,
+        publishedAt: analysis.publishedAt,
         repository: analysis.repository,
         user: analysis.user,
         suggestions: analysis.suggestions.map((suggestion) => ({
@@ -117,8 +157,13 @@ class AnalysisService {
           message: suggestion.message,
           suggestion: suggestion.suggestion,
           codeSnippet: suggestion.codeSnippet,
+          githubCommentId: suggestion.githubCommentId,
+          carriedForward: suggestion.carriedForward,
         })),
-        summary: this.generateAnalysisSummary(analysis.suggestions),
+        summary: this.generateAnalysisSummary(
+          analysis.suggestions,
+          previousAnalysis?.suggestions
+        ),
       };
 
       // Cache completed analyses for 1 hour
@@ -155,53 +200,108 @@ class AnalysisService {
         throw new Error("Analysis not found");
       }
 
+      // Wait for the provider's rate limit to reset instead of failing
+      // halfway; analyses on other tokens keep running in the meantime
+      const wait = await this.getRateLimitWait(analysis);
+      if (wait) {
+        return this.deferAnalysis(analysis, wait);
+      }
+
       console.log(
-        `Processing analysis ${analysisId} for PR #${analysis.prNumber}`
+        `Processing analysis ${analysisId} for ${this.describeTarget(analysis)}`
       );
 
       // Update status to PROCESSING
       await this.updateAnalysisStatus(analysisId, "PROCESSING");
 
-      // Step 1: Get PR diff from GitHub
-      console.log("Fetching PR diff from GitHub...");
-      const prData = await githubService.getPRDiff(
-        analysis.repository.fullName,
-        analysis.prNumber,
-        analysis.userId
+      // Step 1: Get the diff from the repository's provider
+      console.log(
+        `Fetching diff from ${analysis.repository?.provider || "upload"}...`
       );
+      const prData = await this.fetchDiff(analysis);
 
-      // Step 2: Calculate total lines
+      // Each analysis reviews exactly one head commit; a push while it
+      // waited leaves nothing to review
+      if (!(await this.checkHeadCommit(analysis, prData.pr.head?.sha))) {
+        return this.supersedeAnalysis(analysis, prData.pr.head.sha);
+      }
+
+      // Report progress on the head commit as a GitHub check run
+      await checkService.startCheckRun(analysis, prData.pr.head?.sha);
+
+      // Only review files changed since the last analyzed commit
+      const plan = await this.planIncrementalReview(analysis, prData);
+      const reviewData = { ...prData, files: plan.files };
+
+      // Include the code around each hunk so the model sees definitions
+      await this.attachFileContext(analysis, reviewData);
+
+      // Step 2: Calculate total lines and record files that won't be reviewed
       const totalLines = this.calculateTotalLines(prData.files);
+      const skippedFiles = prData.skipped_files || [];
+      if (skippedFiles.length > 0) {
+        console.log(`Skipping ${skippedFiles.length} files without a diff`);
+      }
       await prisma.analysis.update({
         where: { id: analysisId },
-        data: { totalLines },
+        data: { totalLines, skippedFiles },
       });
 
-      // Step 3: Analyze with OpenAI
+      // Step 3: Analyze with OpenAI (nothing to send if no file changed)
       console.log("Starting AI analysis...");
-      const aiAnalysis = await openaiService.analyzeCode(prData);
+      const aiAnalysis =
+        reviewData.files.length > 0
+          ? await openaiService.analyzeCode(reviewData)
+          : {
+              summary: {
+                totalIssues: 0,
+                criticalIssues: 0,
+                overallRating: "unchanged",
+                mainConcerns: [],
+              },
+              suggestions: [],
+            };
 
       // Step 4: Save suggestions to database
       console.log("Saving suggestions to database...");
       await this.saveSuggestions(analysisId, aiAnalysis.suggestions);
+      const carriedForward = await this.carryForwardSuggestions(
+        analysisId,
+        plan.baseAnalysis,
+        plan.untouchedFiles
+      );
 
       // Step 5: Mark as completed
       await this.updateAnalysisStatus(analysisId, "COMPLETED");
 
+      // Step 6: Publish suggestions back to the pull request
+      await this.publishReview(analysis);
+
+      // Step 7: Complete the check run with annotations
+      await checkService.completeCheckRun(analysisId);
+
       console.log(
-        `Analysis ${analysisId} completed successfully with ${aiAnalysis.suggestions.length} suggestions`
+        `Analysis ${analysisId} completed successfully with ${aiAnalysis.suggestions.length} new and ${carriedForward} carried forward suggestions`
       );
 
       // Invalidate relevant caches
-      await this.invalidateAnalysisCache(analysisId, analysis.userId);
+      await this.invalidateAnalysisCache(analysisId);
 
       return {
         success: true,
         analysisId,
-        suggestionCount: aiAnalysis.suggestions.length,
+        suggestionCount: aiAnalysis.suggestions.length + carriedForward,
         summary: aiAnalysis.summary,
       };
     } catch (error) {
+      // Rate limited while fetching: queue again for when the limit resets
+      if (analysis && error instanceof RateLimitError) {
+        return this.deferAnalysis(analysis, {
+          reason: error.message,
+          resumeAt: error.resumeAt,
+        });
+      }
+
       console.error(`Analysis ${analysisId} failed:`, error);
 
       // Mark analysis as failed
@@ -210,12 +310,545 @@ class AnalysisService {
 
         // Save error as a suggestion for debugging
         await this.saveErrorSuggestion(analysisId, error.message);
+
+        await checkService.failCheckRun(analysisId, error.message);
       }
 
       throw error;
     }
   }
 
+  // Whether the fetched diff is for the analysis' commit, recording the
+  // head SHA on analyses created before it was known
+  async checkHeadCommit(analysis, headSha) {
+    if (!headSha || analysis.commitSha === headSha) return true;
+
+    if (analysis.commitSha && analysis.commitSha !== "unknown") {
+      return false;
+    }
+
+    await prisma.analysis.update({
+      where: { id: analysis.id },
+      data: { commitSha: headSha },
+    });
+    analysis.commitSha = headSha;
+
+    return true;
+  }
+
+  getSupersededMessage(analysis, headSha) {
+    return `Pull request head moved from ${analysis.commitSha.substring(0, 7)} to ${headSha.substring(0, 7)}; analyze the new head instead`;
+  }
+
+  // Stop an analysis whose commit is no longer the pull request's head
+  async supersedeAnalysis(analysis, headSha) {
+    const message = this.getSupersededMessage(analysis, headSha);
+    console.log(`Analysis ${analysis.id} superseded: ${message}`);
+
+    await this.updateAnalysisStatus(analysis.id, "SUPERSEDED");
+    await checkService.supersedeCheckRun(analysis.id, message);
+    await this.invalidateAnalysisCache(analysis.id);
+
+    return { success: false, analysisId: analysis.id, superseded: true };
+  }
+
+  // Reject rerunning a pull request analysis of a commit that is no longer
+  // the head, which could only be superseded again
+  async assertCurrentHead(analysis) {
+    if (
+      analysis.type !== "PULL_REQUEST" ||
+      !analysis.commitSha ||
+      analysis.commitSha === "unknown"
+    ) {
+      return;
+    }
+
+    const pr = await getProvider(analysis.repository).getPRInfo(
+      analysis.repository.fullName,
+      analysis.prNumber,
+      analysis.userId
+    );
+
+    if (pr && pr.head.sha !== analysis.commitSha) {
+      throw new ValidationError(this.getSupersededMessage(analysis, pr.head.sha));
+    }
+  }
+
+  // Fetch the diff an analysis reviews: a pull request, a commit range or
+  // an uploaded patch
+  async fetchDiff(analysis) {
+    if (analysis.type === "UPLOAD") {
+      const diffData = parseUploadedDiff(analysis.uploadedDiff || "");
+
+      return {
+        ...diffData,
+        pr: { ...diffData.pr, title: analysis.title || diffData.pr.title },
+      };
+    }
+
+    const provider = getProvider(analysis.repository);
+
+    if (analysis.type === "COMPARE") {
+      const diffData = await provider.getCompareDiff(
+        analysis.repository.fullName,
+        analysis.baseSha,
+        analysis.commitSha,
+        analysis.userId
+      );
+
+      // Label the range with the refs the user asked for
+      return {
+        ...diffData,
+        pr: {
+          ...diffData.pr,
+          title: `Changes from ${analysis.baseRef} to ${analysis.headRef}`,
+          base: { ...diffData.pr.base, ref: analysis.baseRef },
+          head: { ...diffData.pr.head, ref: analysis.headRef },
+        },
+      };
+    }
+
+    return provider.getPRDiff(
+      analysis.repository.fullName,
+      analysis.prNumber,
+      analysis.userId,
+      analysis.commitSha
+    );
+  }
+
+  // Find the analysis a revision is compared with: its incremental base,
+  // otherwise the latest earlier completed analysis of the same PR
+  async getPreviousAnalysis(analysis) {
+    if (analysis.type !== "PULL_REQUEST") return null;
+
+    const include = { suggestions: true };
+
+    if (analysis.baseAnalysisId) {
+      const base = await prisma.analysis.findUnique({
+        where: { id: analysis.baseAnalysisId },
+        include,
+      });
+      if (base) return base;
+    }
+
+    return prisma.analysis.findFirst({
+      where: {
+        repositoryId: analysis.repositoryId,
+        prNumber: analysis.prNumber,
+        status: "COMPLETED",
+        createdAt: { lt: analysis.createdAt },
+        id: { not: analysis.id },
+      },
+      orderBy: { createdAt: "desc" },
+      include,
+    });
+  }
+
+  // Compare two analyses of the same PR. Without a base analysis the
+  // previous analysis of the PR is used.
+  async compareAnalyses(analysisId, baseAnalysisId, userId) {
+    const analysis = await prisma.analysis.findUnique({
+      where: { id: analysisId },
+      include: { suggestions: true },
+    });
+
+    if (
+      !analysis ||
+      !(await workspaceService.canAccessAnalysis(analysis, userId))
+    ) {
+      throw new NotFoundError("Analysis not found");
+    }
+
+    const baseAnalysis = baseAnalysisId
+      ? await prisma.analysis.findUnique({
+          where: { id: baseAnalysisId },
+          include: { suggestions: true },
+        })
+      : await this.getPreviousAnalysis(analysis);
+
+    if (!baseAnalysis) {
+      throw new NotFoundError(
+        baseAnalysisId
+          ? "Base analysis not found"
+          : "No earlier analysis of this pull request to compare with"
+      );
+    }
+
+    if (!(await workspaceService.canAccessAnalysis(baseAnalysis, userId))) {
+      throw new NotFoundError("Base analysis not found");
+    }
+
+    if (
+      analysis.type !== "PULL_REQUEST" ||
+      baseAnalysis.type !== "PULL_REQUEST" ||
+      baseAnalysis.repositoryId !== analysis.repositoryId ||
+      baseAnalysis.prNumber !== analysis.prNumber
+    ) {
+      throw new ValidationError(
+        "Analyses must belong to the same repository and pull request"
+      );
+    }
+
+    const withoutErrors = (suggestions) =>
+      suggestions.filter((s) => s.filePath !== "analysis-error");
+    const changes = diffSuggestions(
+      withoutErrors(baseAnalysis.suggestions),
+      withoutErrors(analysis.suggestions)
+    );
+
+    const describe = (a) => ({
+      id: a.id,
+      commitSha: a.commitSha,
+      status: a.status,
+      createdAt: a.createdAt,
+    });
+    const toResponse = (s) => ({
+      id: s.id,
+      filePath: s.filePath,
+      lineNumber: s.lineNumber,
+      severity: s.severity,
+      category: s.category,
+      message: s.message,
+      suggestion: s.suggestion,
+      codeSnippet: s.codeSnippet,
+    });
+
+    return {
+      analysis: describe(analysis),
+      baseAnalysis: describe(baseAnalysis),
+      summary: {
+        new: changes.new.length,
+        resolved: changes.resolved.length,
+        persisting: changes.persisting.length,
+      },
+      new: changes.new.map(toResponse),
+      resolved: changes.resolved.map(toResponse),
+      persisting: changes.persisting.map(({ suggestion, previous }) => ({
+        ...toResponse(suggestion),
+        previousId: previous.id,
+        previousLineNumber: previous.lineNumber,
+      })),
+    };
+  }
+
+  // Narrow the review to files changed since the previous completed analysis
+  // of the PR. Untouched files keep the base analysis' suggestions.
+  async planIncrementalReview(analysis, prData) {
+    const fullReview = {
+      files: prData.files,
+      baseAnalysis: null,
+      untouchedFiles: [],
+    };
+
+    if (
+      process.env.ANALYSIS_INCREMENTAL === "false" ||
+      analysis.type !== "PULL_REQUEST"
+    ) {
+      return fullReview;
+    }
+
+    const baseAnalysis = await prisma.analysis.findFirst({
+      where: {
+        repositoryId: analysis.repositoryId,
+        prNumber: analysis.prNumber,
+        status: "COMPLETED",
+        commitSha: { not: analysis.commitSha },
+      },
+      orderBy: { completedAt: "desc" },
+    });
+
+    if (!baseAnalysis) {
+      return fullReview;
+    }
+
+    let comparison;
+    try {
+      comparison = await getProvider(analysis.repository).getChangedFiles(
+        analysis.repository.fullName,
+        baseAnalysis.commitSha,
+        analysis.commitSha,
+        analysis.userId
+      );
+    } catch (error) {
+      console.error("Falling back to a full review:", error.message);
+      return fullReview;
+    }
+
+    // After a force-push the base commit is not an ancestor of the head,
+    // so its suggestions can't be trusted for untouched files
+    if (comparison?.status !== "ahead") {
+      return fullReview;
+    }
+
+    const changed = new Set(comparison.files);
+    const files = prData.files.filter(
+      (file) =>
+        changed.has(file.filename) ||
+        (file.previous_filename && changed.has(file.previous_filename))
+    );
+    const untouchedFiles = prData.files
+      .filter((file) => !files.includes(file))
+      .map((file) => file.filename);
+
+    await prisma.analysis.update({
+      where: { id: analysis.id },
+      data: {
+        isIncremental: true,
+        baseAnalysisId: baseAnalysis.id,
+      },
+    });
+
+    console.log(
+      `Incremental review of ${files.length}/${prData.files.length} files since ${baseAnalysis.commitSha.substring(0, 7)}`
+    );
+
+    return { files, baseAnalysis, untouchedFiles };
+  }
+
+  // Copy the base analysis' suggestions on files that did not change
+  async carryForwardSuggestions(analysisId, baseAnalysis, filePaths) {
+    if (!baseAnalysis || filePaths.length === 0) return 0;
+
+    const suggestions = await prisma.suggestion.findMany({
+      where: {
+        analysisId: baseAnalysis.id,
+        filePath: { in: filePaths },
+      },
+    });
+
+    if (suggestions.length === 0) return 0;
+
+    const { count } = await prisma.suggestion.createMany({
+      data: suggestions.map((suggestion) => ({
+        analysisId,
+        filePath: suggestion.filePath,
+        lineNumber: suggestion.lineNumber,
+        severity: suggestion.severity,
+        category: suggestion.category,
+        message: suggestion.message,
+        suggestion: suggestion.suggestion,
+        codeSnippet: suggestion.codeSnippet,
+        fingerprint:
+          suggestion.fingerprint || getSuggestionFingerprint(suggestion),
+        carriedForward: true,
+      })),
+    });
+
+    console.log(
+      `Carried forward ${count} suggestions from analysis ${baseAnalysis.id}`
+    );
+    return count;
+  }
+
+  // Attach head-commit code surrounding each hunk to the files in the prompt
+  async attachFileContext(analysis, prData) {
+    const contextLines = parseInt(process.env.ANALYSIS_CONTEXT_LINES ?? 20);
+    const headSha = prData.pr.head?.sha;
+
+    // Uploaded patches have no repository to read files from
+    if (!headSha || !analysis.repository || !(contextLines > 0)) return;
+
+    const provider = getProvider(analysis.repository);
+    const files = prData.files
+      .slice(0, openaiService.maxPromptFiles)
+      .filter((file) => file.patch && file.status !== "removed");
+
+    for (const file of files) {
+      try {
+        const content = await provider.getFileContent(
+          analysis.repository.fullName,
+          file.filename,
+          headSha,
+          analysis.userId,
+          file.sha
+        );
+
+        if (content !== null) {
+          file.context = getContextWindows(content, file.patch, contextLines);
+        }
+      } catch (error) {
+        // Context is best effort, the patch alone can still be reviewed
+        if (error instanceof RateLimitError) break;
+
+        console.error(
+          `Failed to load context for ${file.filename}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Ask the repository's provider whether its rate limit requires waiting
+  async getRateLimitWait(analysis) {
+    if (!analysis.repository) return null;
+
+    try {
+      return await getProvider(analysis.repository).getRateLimitWait(
+        analysis.repository.fullName,
+        analysis.userId
+      );
+    } catch (error) {
+      // Token problems are reported when the analysis runs
+      return null;
+    }
+  }
+
+  // Put an analysis back in the queue until the rate limit resets, keeping
+  // the reason visible on its status
+  async deferAnalysis(analysis, { reason, resumeAt }) {
+    const resumeTime = resumeAt || new Date(Date.now() + 60 * 1000);
+
+    await prisma.analysis.update({
+      where: { id: analysis.id },
+      data: { status: "PENDING", waitReason: reason, resumeAt: resumeTime },
+    });
+    await redis.del(`analysis:status:${analysis.id}`);
+
+    console.log(
+      `Analysis ${analysis.id} deferred until ${resumeTime.toISOString()}: ${reason}`
+    );
+    this.scheduleAnalysis(analysis.id, resumeTime);
+
+    return {
+      success: false,
+      deferred: true,
+      analysisId: analysis.id,
+      waitReason: reason,
+      resumeAt: resumeTime,
+    };
+  }
+
+  // Queue an analysis once a point in time has passed
+  scheduleAnalysis(analysisId, resumeAt) {
+    clearTimeout(this.scheduled.get(analysisId));
+
+    const delay =
+      Math.max(0, resumeAt.getTime() - Date.now()) +
+      Math.floor(Math.random() * RESUME_JITTER_MS);
+
+    this.scheduled.set(
+      analysisId,
+      setTimeout(() => {
+        this.scheduled.delete(analysisId);
+        this.enqueueAnalysis(analysisId);
+      }, delay)
+    );
+  }
+
+  // Reschedule analyses that were waiting for a rate limit reset when the
+  // server stopped
+  async resumeWaitingAnalyses() {
+    try {
+      const waiting = await prisma.analysis.findMany({
+        where: { status: "PENDING", resumeAt: { not: null } },
+        select: { id: true, resumeAt: true },
+      });
+
+      waiting.forEach((analysis) =>
+        this.scheduleAnalysis(analysis.id, analysis.resumeAt)
+      );
+
+      if (waiting.length > 0) {
+        console.log(`Rescheduled ${waiting.length} waiting analyses`);
+      }
+    } catch (error) {
+      console.error("Failed to reschedule waiting analyses:", error);
+    }
+  }
+
+  // Queue analysis for background processing (non-blocking)
+  enqueueAnalysis(analysisId) {
+    setImmediate(async () => {
+      try {
+        await this.processAnalysis(analysisId);
+      } catch (error) {
+        // processAnalysis already marks the analysis as FAILED
+        console.error(`Analysis processing failed for ${analysisId}:`, error);
+      }
+    });
+  }
+
+  // Rerun an analysis of the same commit by resetting it in place, so the
+  // PR keeps one analysis per head commit
+  async rerunAnalysis(analysisId) {
+    const original = await prisma.analysis.findUnique({
+      where: { id: analysisId },
+      include: { repository: true },
+    });
+
+    if (!original) {
+      throw new NotFoundError("Analysis not found");
+    }
+
+    if (original.status === "PENDING" || original.status === "PROCESSING") {
+      throw new ValidationError("Analysis is already in progress");
+    }
+
+    await this.assertCurrentHead(original);
+
+    const [, analysis] = await prisma.$transaction([
+      prisma.suggestion.deleteMany({
+        where: { analysisId },
+      }),
+      prisma.analysis.update({
+        where: { id: analysisId },
+        data: {
+          status: "PENDING",
+          waitReason: null,
+          resumeAt: null,
+          totalLines: null,
+          skippedFiles: null,
+          isIncremental: false,
+          baseAnalysisId: null,
+          githubReviewId: null,
+          publishedAt: null,
+          checkRunId: null,
+          completedAt: null,
+        },
+      }),
+    ]);
+
+    this.enqueueAnalysis(analysis.id);
+    await this.invalidateAnalysisCache(analysisId);
+    // Drop the cached result of the previous run
+    await redis.del(`analysis:${analysisId}`);
+
+    return analysis;
+  }
+
+  // List every analysis of a pull request, newest head commit first
+  async getPullRequestAnalyses(repositoryId, prNumber) {
+    const analyses = await prisma.analysis.findMany({
+      where: { repositoryId, prNumber },
+      orderBy: { createdAt: "desc" },
+      include: {
+        suggestions: {
+          select: { severity: true, filePath: true },
+        },
+      },
+    });
+
+    return analyses.map((analysis) => {
+      const suggestions = analysis.suggestions.filter(
+        (s) => s.filePath !== "analysis-error"
+      );
+
+      return {
+        id: analysis.id,
+        commitSha: analysis.commitSha,
+        status: analysis.status,
+        totalLines: analysis.totalLines,
+        isIncremental: analysis.isIncremental,
+        baseAnalysisId: analysis.baseAnalysisId,
+        createdAt: analysis.createdAt,
+        completedAt: analysis.completedAt,
+        publishedAt: analysis.publishedAt,
+        suggestionCount: suggestions.length,
+        highSeverity: suggestions.filter((s) => s.severity === "HIGH").length,
+      };
+    });
+  }
+
   // Save suggestions to database
   async saveSuggestions(analysisId, suggestions) {
     try {
@@ -233,6 +866,7 @@ class AnalysisService {
         message: suggestion.message,
         suggestion: suggestion.suggestion,
         codeSnippet: suggestion.codeSnippet,
+        fingerprint: getSuggestionFingerprint(suggestion),
       }));
 
       const savedSuggestions = await prisma.suggestion.createMany({
@@ -254,6 +888,7 @@ class AnalysisService {
     try {
       const updateData = {
         status,
+        ...(status !== "PENDING" && { waitReason: null, resumeAt: null }),
         ...(status === "COMPLETED" && { completedAt: new Date() }),
       };
 
@@ -281,11 +916,12 @@ class AnalysisService {
       limit = 10,
       status = null,
       repositoryId = null,
+      type = null,
     } = options;
 
     try {
       // Build cache key
-      const cacheKey = `analyses:user:${userId}:${page}:${limit}:${status}:${repositoryId}`;
+      const cacheKey = `analyses:user:${userId}:${page}:${limit}:${status}:${repositoryId}:${type}`;
       const cached = await redis.get(cacheKey);
 
       if (cached) {
@@ -295,9 +931,10 @@ class AnalysisService {
 
       // Build where clause
       const where = {
-        userId,
+        ...workspaceService.analysisAccessWhere(userId),
         ...(status && { status }),
         ...(repositoryId && { repositoryId }),
+        ...(type && { type }),
       };
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -331,7 +968,11 @@ class AnalysisService {
       const transformedAnalyses = analyses.map((analysis) => ({
         id: analysis.id,
         repositoryId: analysis.repositoryId,
+        type: analysis.type,
+        title: analysis.title,
         prNumber: analysis.prNumber,
+        baseRef: analysis.baseRef,
+        headRef: analysis.headRef,
         status: analysis.status,
         createdAt: analysis.createdAt,
         completedAt: analysis.completedAt,
@@ -376,11 +1017,13 @@ class AnalysisService {
       const analysis = await prisma.analysis.findFirst({
         where: {
           id: analysisId,
-          userId,
+          ...workspaceService.analysisAccessWhere(userId),
         },
         select: {
           id: true,
           status: true,
+          waitReason: true,
+          resumeAt: true,
           createdAt: true,
           completedAt: true,
           _count: {
@@ -398,6 +1041,8 @@ class AnalysisService {
       const statusData = {
         id: analysis.id,
         status: analysis.status,
+        waitReason: analysis.waitReason,
+        resumeAt: analysis.resumeAt,
         createdAt: analysis.createdAt,
         completedAt: analysis.completedAt,
         suggestionCount: analysis._count.suggestions,
@@ -428,8 +1073,9 @@ class AnalysisService {
     }, 0);
   }
 
-  // Helper: Generate analysis summary
-  generateAnalysisSummary(suggestions) {
+  // Helper: Generate analysis summary, with changes since the previous
+  // analysis of the PR when its suggestions are given
+  generateAnalysisSummary(suggestions, previousSuggestions = null) {
     const total = suggestions.length;
     const high = suggestions.filter((s) => s.severity === "HIGH").length;
     const medium = suggestions.filter((s) => s.severity === "MEDIUM").length;
@@ -449,6 +1095,23 @@ class AnalysisService {
         low,
       },
       categoryBreakdown: categories,
+      ...(previousSuggestions && {
+        changes: this.summarizeChanges(previousSuggestions, suggestions),
+      }),
+    };
+  }
+
+  // Helper: Count new, resolved and persisting suggestions between analyses
+  summarizeChanges(previousSuggestions, suggestions) {
+    const changes = diffSuggestions(
+      previousSuggestions.filter((s) => s.filePath !== "analysis-error"),
+      suggestions.filter((s) => s.filePath !== "analysis-error")
+    );
+
+    return {
+      new: changes.new.length,
+      resolved: changes.resolved.length,
+      persisting: changes.persisting.length,
     };
   }
 
@@ -463,6 +1126,36 @@ class AnalysisService {
     return Math.round(diffMs / 1000); // Duration in seconds
   }
 
+  // Helper: Publish review to GitHub (failures don't fail the analysis)
+  async publishReview(analysis) {
+    if (
+      process.env.GITHUB_PUBLISH_REVIEWS === "false" ||
+      analysis.type !== "PULL_REQUEST" ||
+      analysis.repository.provider !== PROVIDERS.GITHUB
+    ) {
+      return;
+    }
+
+    try {
+      // Required lazily: review.service depends on this module
+      const reviewService = require("./review.service");
+      await reviewService.publishAnalysis(analysis.id);
+    } catch (error) {
+      console.error(`Failed to publish analysis ${analysis.id}:`, error.message);
+    }
+  }
+
+  // Helper: Describe what an analysis reviews, for logs
+  describeTarget(analysis) {
+    if (analysis.type === "UPLOAD") {
+      return `uploaded diff "${analysis.title || "untitled"}"`;
+    }
+
+    return analysis.type === "COMPARE"
+      ? `${analysis.baseRef}...${analysis.headRef}`
+      : `PR #${analysis.prNumber}`;
+  }
+
   // Helper: Save error as suggestion for debugging
   async saveErrorSuggestion(analysisId, errorMessage) {
     try {
@@ -484,16 +1177,22 @@ class AnalysisService {
   }
 
   // Helper: Invalidate analysis caches
-  async invalidateAnalysisCache(analysisId, userId) {
+  async invalidateAnalysisCache(analysisId) {
     try {
       // Clear specific analysis cache
       await redis.del(`analysis:full:${analysisId}`);
       await redis.del(`analysis:status:${analysisId}`);
 
-      // Clear user analyses cache
-      const userCacheKeys = await redis.keys(`analyses:user:${userId}:*`);
-      if (userCacheKeys.length > 0) {
-        await redis.del(...userCacheKeys);
+      const analysis = await prisma.analysis.findUnique({
+        where: { id: analysisId },
+        select: {
+          userId: true,
+          repository: { select: { userId: true, workspaceId: true } },
+        },
+      });
+
+      if (analysis) {
+        await this.invalidateViewerCaches(analysis);
       }
 
       console.log("Invalidated analysis caches");
@@ -501,6 +1200,16 @@ class AnalysisService {
       console.error("Failed to invalidate cache:", error);
     }
   }
+
+  // Clear the analysis lists and stats of everyone who can see an analysis
+  // (`analysis` needs its userId and repository's userId and workspaceId)
+  async invalidateViewerCaches(analysis) {
+    const userIds = await workspaceService.getAnalysisViewerIds(analysis);
+
+    for (const userId of userIds) {
+      await workspaceService.invalidateUserCaches(userId);
+    }
+  }
 }
 
 module.exports = new AnalysisService();
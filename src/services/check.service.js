@@ -0,0 +1,231 @@
+const prisma = require("../config/database");
+const githubService = require("./github.service");
+const { PROVIDERS } = require("./provider.service");
+
+const CHECK_RUN_NAME = process.env.GITHUB_CHECK_RUN_NAME || "AI Code Review";
+
+// GitHub accepts at most 50 annotations per check run update
+const ANNOTATIONS_PER_REQUEST = 50;
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+const ANNOTATION_LEVELS = {
+  HIGH: "failure",
+  MEDIUM: "warning",
+  LOW: "notice",
+};
+
+class CheckService {
+  constructor() {
+    // Lowest severity that fails / neutralizes the check ("NONE" disables)
+    this.failureSeverity = (
+      process.env.CHECK_FAILURE_SEVERITY || "HIGH"
+    ).toUpperCase();
+    this.neutralSeverity = (
+      process.env.CHECK_NEUTRAL_SEVERITY || "MEDIUM"
+    ).toUpperCase();
+  }
+
+  isEnabled() {
+    return process.env.GITHUB_CHECK_RUNS !== "false";
+  }
+
+  // Create an in_progress check run for an analysis
+  async startCheckRun(analysis, headSha) {
+    // A deferred analysis keeps the check run it already started
+    if (
+      !this.isEnabled() ||
+      !headSha ||
+      analysis.checkRunId ||
+      analysis.repository?.provider !== PROVIDERS.GITHUB
+    ) {
+      return null;
+    }
+
+    try {
+      const github = githubService.forHost(analysis.repository.host);
+      const checkRun = await github.createCheckRun(
+        analysis.repository.fullName,
+        analysis.userId,
+        {
+          name: CHECK_RUN_NAME,
+          headSha,
+          externalId: analysis.id,
+          detailsUrl: process.env.FRONTEND_URL
+            ? `${process.env.FRONTEND_URL}/analyses/${analysis.id}`
+            : null,
+        }
+      );
+
+      await prisma.analysis.update({
+        where: { id: analysis.id },
+        data: { checkRunId: checkRun.id.toString() },
+      });
+
+      return checkRun;
+    } catch (error) {
+      console.error(
+        `Failed to start check run for analysis ${analysis.id}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // Complete the check run with annotations and a conclusion
+  async completeCheckRun(analysisId) {
+    if (!this.isEnabled()) return;
+
+    try {
+      const analysis = await prisma.analysis.findUnique({
+        where: { id: analysisId },
+        include: {
+          repository: true,
+          suggestions: true,
+        },
+      });
+
+      if (!analysis?.checkRunId) return;
+
+      const suggestions = analysis.suggestions.filter(
+        (s) => s.filePath !== "analysis-error"
+      );
+      const conclusion = this.getConclusion(suggestions);
+      const annotations = suggestions.map((s) => this.toAnnotation(s));
+
+      const output = {
+        title: this.getTitle(conclusion, suggestions.length),
+        summary: this.getSummary(suggestions),
+      };
+
+      const batches = [];
+      for (let i = 0; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+        batches.push(annotations.slice(i, i + ANNOTATIONS_PER_REQUEST));
+      }
+      if (batches.length === 0) {
+        batches.push([]);
+      }
+
+      // The first update completes the run, later ones append annotations
+      const github = githubService.forHost(analysis.repository.host);
+      for (const [index, batch] of batches.entries()) {
+        await github.updateCheckRun(
+          analysis.repository.fullName,
+          analysis.checkRunId,
+          analysis.userId,
+          {
+            ...(index === 0 && {
+              status: "completed",
+              conclusion,
+              completed_at: new Date().toISOString(),
+            }),
+            output: { ...output, annotations: batch },
+          }
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Failed to complete check run for analysis ${analysisId}:`,
+        error.message
+      );
+    }
+  }
+
+  // Close the check run when the analysis itself failed
+  async failCheckRun(analysisId, errorMessage) {
+    await this.closeCheckRun(analysisId, {
+      title: "Analysis failed",
+      summary: `The code review could not be completed: ${errorMessage}\n\nUse "Re-run" to try again.`,
+    });
+  }
+
+  // Close the check run of an analysis whose commit is no longer the head;
+  // re-running it can't help, so the summary doesn't suggest it
+  async supersedeCheckRun(analysisId, message) {
+    await this.closeCheckRun(analysisId, {
+      title: "Analysis superseded",
+      summary: `The code review was skipped: ${message}`,
+    });
+  }
+
+  async closeCheckRun(analysisId, output) {
+    if (!this.isEnabled()) return;
+
+    try {
+      const analysis = await prisma.analysis.findUnique({
+        where: { id: analysisId },
+        include: { repository: true },
+      });
+
+      if (!analysis?.checkRunId) return;
+
+      const github = githubService.forHost(analysis.repository.host);
+      await github.updateCheckRun(
+        analysis.repository.fullName,
+        analysis.checkRunId,
+        analysis.userId,
+        {
+          status: "completed",
+          conclusion: "neutral",
+          completed_at: new Date().toISOString(),
+          output,
+        }
+      );
+    } catch (error) {
+      console.error(
+        `Failed to close check run for analysis ${analysisId}:`,
+        error.message
+      );
+    }
+  }
+
+  // Helper: Map suggestions to a check conclusion using severity thresholds
+  getConclusion(suggestions) {
+    const highest = suggestions.reduce(
+      (max, s) => Math.max(max, SEVERITY_RANK[s.severity] || 0),
+      0
+    );
+
+    const meets = (threshold) =>
+      SEVERITY_RANK[threshold] !== undefined &&
+      highest >= SEVERITY_RANK[threshold];
+
+    if (meets(this.failureSeverity)) return "failure";
+    if (meets(this.neutralSeverity)) return "neutral";
+    return "success";
+  }
+
+  // Helper: Convert a suggestion to a check run annotation
+  toAnnotation(suggestion) {
+    return {
+      path: suggestion.filePath,
+      start_line: suggestion.lineNumber,
+      end_line: suggestion.lineNumber,
+      annotation_level: ANNOTATION_LEVELS[suggestion.severity] || "notice",
+      title: `${suggestion.severity} · ${suggestion.category}`,
+      message: `${suggestion.message}\n\n${suggestion.suggestion}`,
+      ...(suggestion.codeSnippet && { raw_details: suggestion.codeSnippet }),
+    };
+  }
+
+  getTitle(conclusion, total) {
+    if (total === 0) return "No issues found";
+    if (conclusion === "failure") return `${total} issue(s) found, blocking`;
+    return `${total} issue(s) found`;
+  }
+
+  getSummary(suggestions) {
+    const count = (severity) =>
+      suggestions.filter((s) => s.severity === severity).length;
+
+    return [
+      `High: ${count("HIGH")}`,
+      `Medium: ${count("MEDIUM")}`,
+      `Low: ${count("LOW")}`,
+      "",
+      `Fails on ${this.failureSeverity} severity or above, neutral on ${this.neutralSeverity} or above.`,
+    ].join("\n");
+  }
+}
+
+module.exports = new CheckService();
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const redis = require('../config/redis');
+const { DEFAULT_HOST, getHost } = require('../config/github');
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_EXPIRY_MARGIN_SECONDS = 5 * 60;
+
+class GitHubAppService {
+  constructor(hostConfig = getHost(DEFAULT_HOST)) {
+    this.host = hostConfig.host;
+    this.baseURL = hostConfig.apiUrl;
+    this.appId = hostConfig.appId;
+    this.hostConfig = hostConfig;
+    this.privateKey = null;
+    this.cachePrefix = this.host === DEFAULT_HOST ? 'github' : `github:${this.host}`;
+    this.instances = new Map();
+  }
+
+  // Get the app service for a GitHub host (github.com or Enterprise Server)
+  forHost(host = DEFAULT_HOST) {
+    const hostConfig = getHost(host);
+    if (hostConfig.host === this.host) {
+      return this;
+    }
+
+    if (!this.instances.has(hostConfig.host)) {
+      this.instances.set(hostConfig.host, new GitHubAppService(hostConfig));
+    }
+
+    return this.instances.get(hostConfig.host);
+  }
+
+  isConfigured() {
+    return Boolean(this.appId && this.getPrivateKey());
+  }
+
+  // Load the app private key from the environment or a PEM file
+  getPrivateKey() {
+    if (this.privateKey) {
+      return this.privateKey;
+    }
+
+    const { appPrivateKey, appPrivateKeyPath } = this.hostConfig;
+
+    if (appPrivateKey) {
+      // Allow single-line keys with escaped newlines in .env files
+      this.privateKey = appPrivateKey.replace(/\\n/g, '\n');
+    } else if (appPrivateKeyPath) {
+      this.privateKey = fs.readFileSync(appPrivateKeyPath, 'utf8');
+    }
+
+    return this.privateKey;
+  }
+
+  // Sign a short-lived JWT that authenticates as the app itself
+  createAppJwt() {
+    const now = Math.floor(Date.now() / 1000);
+
+    return jwt.sign(
+      {
+        iat: now - 60, // Allow for clock drift
+        exp: now + 9 * 60, // GitHub allows at most 10 minutes
+        iss: this.appId
+      },
+      this.getPrivateKey(),
+      { algorithm: 'RS256' }
+    );
+  }
+
+  createAppClient() {
+    return axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Authorization': `Bearer ${this.createAppJwt()}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'CodeReviewAPI/1.0'
+      }
+    });
+  }
+
+  // Exchange the app JWT for an installation access token (cached until expiry)
+  async getInstallationToken(installationId) {
+    const cacheKey = `${this.cachePrefix}:installation-token:${installationId}`;
+
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const client = this.createAppClient();
+      const response = await client.post(`/app/installations/${installationId}/access_tokens`);
+      const { token, expires_at: expiresAt } = response.data;
+
+      const ttl = Math.floor((new Date(expiresAt) - Date.now()) / 1000) - TOKEN_EXPIRY_MARGIN_SECONDS;
+      if (ttl > 0) {
+        await redis.setex(cacheKey, ttl, token);
+      }
+
+      return token;
+
+    } catch (error) {
+      console.error('Installation token error:', error.response?.data || error.message);
+
+      if (error.response?.status === 404) {
+        throw new Error('GitHub App installation not found');
+      }
+
+      throw new Error('Failed to create GitHub App installation token');
+    }
+  }
+
+  // Find the installation of this app that covers a repository
+  async getRepositoryInstallationId(repoFullName) {
+    const cacheKey = `${this.cachePrefix}:installation:${repoFullName}`;
+
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return cached === 'none' ? null : cached;
+    }
+
+    try {
+      const client = this.createAppClient();
+      const response = await client.get(`/repos/${repoFullName}/installation`);
+      const installationId = response.data.id.toString();
+
+      // Cache for 1 hour
+      await redis.setex(cacheKey, 3600, installationId);
+
+      return installationId;
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        await redis.setex(cacheKey, 3600, 'none');
+        return null;
+      }
+
+      console.error('Repository installation lookup error:', error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  // Drop cached installation lookups (e.g. after an installation webhook)
+  async invalidateRepositoryInstallations(repoFullNames) {
+    if (repoFullNames.length === 0) {
+      return;
+    }
+
+    await redis.del(...repoFullNames.map(fullName => `${this.cachePrefix}:installation:${fullName}`));
+  }
+
+  // Drop a cached installation token (e.g. after the app was uninstalled)
+  async invalidateInstallationToken(installationId) {
+    await redis.del(`${this.cachePrefix}:installation-token:${installationId}`);
+  }
+}
+
+module.exports = new GitHubAppService();
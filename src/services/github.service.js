@@ -1,27 +1,124 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const prisma = require('../config/database');
 const redis = require('../config/redis');
+const githubAppService = require('./github-app.service');
+const sessionService = require('./session.service');
+const { SourceControlProvider } = require('./provider.service');
+const { DEFAULT_HOST, getHost } = require('../config/github');
+const { splitGitDiff, buildAdditionPatch } = require('../utils/diff');
+const { decrypt } = require('../utils/encryption');
+const { RateLimitError } = require('../utils/errors');
 
-class GitHubService {
-  constructor() {
-    this.baseURL = 'https://api.github.com';
+// GitHub lists at most 3000 files for a pull request
+const MAX_PR_FILES = 3000;
+const FILES_PER_PAGE = 100;
+
+// Larger blobs are not inlined when GitHub omits a new file's patch
+const MAX_FALLBACK_BLOB_BYTES = 100 * 1024;
+
+// The compare API lists at most 300 changed files
+const MAX_COMPARE_FILES = 300;
+
+// Blobs are content-addressed, so cached contents never go stale
+const BLOB_CACHE_TTL = 24 * 60 * 60;
+
+// Validators outlive the freshness TTL so stale entries can be revalidated
+const CONDITIONAL_CACHE_RETENTION = 24 * 60 * 60;
+
+// Requests kept in reserve: new analyses wait for the reset below this
+const RATE_LIMIT_RESERVE = parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE) || 100;
+
+// GitHub asks to wait at least a minute after a secondary rate limit
+const SECONDARY_RATE_LIMIT_WAIT = 60;
+
+// Repository discovery stops after this many pages of 100 repositories
+const MAX_DISCOVERY_PAGES = 50;
+
+class GitHubService extends SourceControlProvider {
+  constructor(hostConfig = getHost(DEFAULT_HOST)) {
+    super();
+    this.host = hostConfig.host;
+    this.baseURL = hostConfig.apiUrl;
+    this.appService = githubAppService.forHost(this.host);
+    this.cachePrefix = this.host === DEFAULT_HOST ? 'github' : `github:${this.host}`;
+    this.instances = new Map();
+  }
+
+  // Get the service for a GitHub host (github.com or Enterprise Server)
+  forHost(host = DEFAULT_HOST) {
+    const hostConfig = getHost(host);
+    if (hostConfig.host === this.host) {
+      return this;
+    }
+
+    if (!this.instances.has(hostConfig.host)) {
+      this.instances.set(hostConfig.host, new GitHubService(hostConfig));
+    }
+
+    return this.instances.get(hostConfig.host);
   }
 
-  // Get GitHub token from Redis session
+  // Get the GitHub token of the user's latest session on this host
+  // (stored encrypted)
   async getGithubToken(userId) {
-    const session = await redis.get(`session:${userId}`);
-    if (!session) {
-      throw new Error('User session not found');
+    const githubToken = await sessionService.getGithubToken(userId, this.host);
+    if (!githubToken) {
+      throw new Error(`No active user session with a GitHub token for ${this.host}`);
     }
-    
-    const sessionData = JSON.parse(session);
-    return sessionData.githubToken;
+
+    return decrypt(githubToken);
+  }
+
+  // Resolve the installation id for a repository, linking it to the Repository row
+  async getInstallationId(repoFullName) {
+    const repository = await prisma.repository.findUnique({
+      where: {
+        provider_host_fullName: { provider: 'GITHUB', host: this.host, fullName: repoFullName }
+      },
+      select: { id: true, installationId: true }
+    });
+
+    if (repository?.installationId) {
+      return repository.installationId;
+    }
+
+    const installationId = await this.appService.getRepositoryInstallationId(repoFullName);
+
+    if (installationId && repository) {
+      await prisma.repository.update({
+        where: { id: repository.id },
+        data: { installationId }
+      });
+    }
+
+    return installationId;
+  }
+
+  // Get a token for a request: repository-scoped calls prefer a GitHub App
+  // installation token so background jobs never depend on a user session
+  async getAccessToken(userId, repoFullName = null) {
+    if (repoFullName && this.appService.isConfigured()) {
+      const installationId = await this.getInstallationId(repoFullName);
+
+      if (installationId) {
+        try {
+          return await this.appService.getInstallationToken(installationId);
+        } catch (error) {
+          console.error(`Falling back to user token for ${repoFullName}:`, error.message);
+        }
+      }
+    }
+
+    return this.getGithubToken(userId);
   }
 
-  // Create authenticated axios instance
-  async createAuthenticatedClient(userId) {
-    const token = await this.getGithubToken(userId);
+  // Create authenticated axios instance that tracks the token's rate limit
+  async createAuthenticatedClient(userId, repoFullName = null) {
+    const token = await this.getAccessToken(userId, repoFullName);
+    const rateLimitKey = this.getRateLimitKey(token);
     
-    return axios.create({
+    const client = axios.create({
       baseURL: this.baseURL,
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -29,28 +126,235 @@ class GitHubService {
         'User-Agent': 'CodeReviewAPI/1.0'
       }
     });
+
+    client.interceptors.response.use(
+      async response => {
+        await this.recordRateLimit(rateLimitKey, response);
+        return response;
+      },
+      async error => {
+        if (error.response) {
+          error.rateLimit = await this.recordRateLimit(rateLimitKey, error.response);
+        }
+        throw error;
+      }
+    );
+
+    return client;
+  }
+
+  // Rate limits are per token, tracked without storing the token itself
+  getRateLimitKey(token) {
+    const digest = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+    return `${this.cachePrefix}:rate-limit:${digest}`;
+  }
+
+  // Store the quota reported by a response. Returns { reason, resumeAt }
+  // when the response itself was rejected by a primary or secondary limit
+  async recordRateLimit(rateLimitKey, response) {
+    const headers = response.headers || {};
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+    const reset = parseInt(headers['x-ratelimit-reset']);
+    const resource = headers['x-ratelimit-resource'];
+
+    try {
+      if (!isNaN(remaining) && !isNaN(reset) && (!resource || resource === 'core')) {
+        const ttl = Math.max(1, reset - Math.floor(Date.now() / 1000));
+        await redis.setex(rateLimitKey, ttl, JSON.stringify({
+          limit: parseInt(headers['x-ratelimit-limit']) || null,
+          remaining,
+          reset
+        }));
+      }
+
+      if (response.status !== 403 && response.status !== 429) {
+        return null;
+      }
+
+      if (remaining === 0 && !isNaN(reset)) {
+        return { reason: 'GitHub API rate limit exhausted', resumeAt: new Date(reset * 1000) };
+      }
+
+      const retryAfter = parseInt(headers['retry-after']);
+      const message = response.data?.message || '';
+      if (!isNaN(retryAfter) || /secondary rate limit/i.test(message)) {
+        const wait = isNaN(retryAfter) ? SECONDARY_RATE_LIMIT_WAIT : retryAfter;
+        await redis.setex(`${rateLimitKey}:paused`, wait, Date.now() + wait * 1000);
+        return { reason: 'GitHub secondary rate limit', resumeAt: new Date(Date.now() + wait * 1000) };
+      }
+    } catch (error) {
+      console.error('Rate limit tracking error:', error.message);
+    }
+
+    return null;
+  }
+
+  // When work for a repository should wait for the rate limit to reset,
+  // returns { reason, resumeAt }; null when there is quota to spare
+  async getRateLimitWait(repoFullName, userId) {
+    const token = await this.getAccessToken(userId, repoFullName);
+    const rateLimitKey = this.getRateLimitKey(token);
+
+    const [quota, pausedUntil] = await Promise.all([
+      redis.get(rateLimitKey),
+      redis.get(`${rateLimitKey}:paused`)
+    ]);
+
+    if (pausedUntil && parseInt(pausedUntil) > Date.now()) {
+      return { reason: 'GitHub secondary rate limit', resumeAt: new Date(parseInt(pausedUntil)) };
+    }
+
+    if (quota) {
+      const { remaining, reset } = JSON.parse(quota);
+
+      if (remaining < RATE_LIMIT_RESERVE && reset * 1000 > Date.now()) {
+        return {
+          reason: `GitHub API quota low (${remaining} requests left)`,
+          resumeAt: new Date(reset * 1000)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Surface rate limit rejections so callers can defer instead of failing
+  throwIfRateLimited(error) {
+    if (error instanceof RateLimitError) {
+      throw error;
+    }
+
+    if (error.rateLimit) {
+      throw new RateLimitError(error.rateLimit.reason, error.rateLimit.resumeAt);
+    }
+  }
+
+  // GET a resource through a Redis cache. Entries are served for `ttl`
+  // seconds, then revalidated with If-None-Match / If-Modified-Since: a 304
+  // doesn't count against the rate limit and keeps the cached payload fresh
+  async conditionalGet({ cacheKey, endpoint, ttl, userId, repoFullName = null, url, params, transform = data => data }) {
+    const cached = JSON.parse(await redis.get(cacheKey) || 'null');
+
+    if (cached && Date.now() - cached.fetchedAt < ttl * 1000) {
+      await this.recordCacheEvent(endpoint, 'hit');
+      return cached.data;
+    }
+
+    const headers = {};
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached?.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const client = await this.createAuthenticatedClient(userId, repoFullName);
+    const response = await client.get(url, {
+      params,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    const notModified = response.status === 304 && cached;
+    const entry = notModified
+      ? { ...cached, fetchedAt: Date.now() }
+      : {
+          data: transform(response.data),
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null,
+          fetchedAt: Date.now()
+        };
+
+    await redis.setex(cacheKey, Math.max(ttl, CONDITIONAL_CACHE_RETENTION), JSON.stringify(entry));
+    await this.recordCacheEvent(endpoint, notModified ? 'not_modified' : 'miss');
+
+    return entry.data;
+  }
+
+  // Count cache hits, 304 revalidations and full fetches per endpoint
+  async recordCacheEvent(endpoint, event) {
+    try {
+      await redis.hincrby(`${this.cachePrefix}:cache-stats`, `${endpoint}:${event}`, 1);
+    } catch (error) {
+      console.error('Cache stats error:', error.message);
+    }
+  }
+
+  async getCacheStats() {
+    const counters = await redis.hgetall(`${this.cachePrefix}:cache-stats`);
+    const stats = {};
+
+    Object.entries(counters).forEach(([field, count]) => {
+      const [endpoint, event] = field.split(':');
+      const key = { hit: 'hits', not_modified: 'notModified', miss: 'misses' }[event];
+
+      stats[endpoint] = stats[endpoint] || { hits: 0, notModified: 0, misses: 0 };
+      stats[endpoint][key] = parseInt(count);
+    });
+
+    return stats;
   }
 
-  async getPRDiff(repoFullName, prNumber, userId) {
-    const cacheKey = `github:diff:${repoFullName}:${prNumber}`;
+  // Diffs are cached per head commit, so only a known head SHA can hit the cache
+  async getPRDiff(repoFullName, prNumber, userId, headSha = null) {
+    const cacheKeyFor = sha => `${this.cachePrefix}:diff:${repoFullName}:${prNumber}:${sha}`;
     
     try {
       // Check cache first
-      const cached = await redis.get(cacheKey);
+      const cached = headSha && await redis.get(cacheKeyFor(headSha));
       if (cached) {
         console.log('Using cached PR diff');
+        await this.recordCacheEvent('diff', 'hit');
         return JSON.parse(cached);
       }
 
-      const client = await this.createAuthenticatedClient(userId);
-      
-      // Get PR information
-      const prResponse = await client.get(`/repos/${repoFullName}/pulls/${prNumber}`);
-      const pr = prResponse.data;
+      // Get PR information, revalidated on every call so the head is current
+      const pr = await this.conditionalGet({
+        cacheKey: `${this.cachePrefix}:pull:${repoFullName}:${prNumber}`,
+        endpoint: 'pull',
+        ttl: 0,
+        userId,
+        repoFullName,
+        url: `/repos/${repoFullName}/pulls/${prNumber}`,
+        transform: pr => ({
+          number: pr.number,
+          title: pr.title,
+          body: pr.body,
+          state: pr.state,
+          commits: pr.commits,
+          additions: pr.additions,
+          deletions: pr.deletions,
+          changed_files: pr.changed_files,
+          head: { sha: pr.head.sha, ref: pr.head.ref },
+          base: { sha: pr.base.sha, ref: pr.base.ref }
+        })
+      });
+
+      // The head commit may already have been fetched without its SHA
+      const cachedHead = await redis.get(cacheKeyFor(pr.head.sha));
+      if (cachedHead) {
+        console.log('Using cached PR diff');
+        await redis.expire(cacheKeyFor(pr.head.sha), 1800);
+        await this.recordCacheEvent('diff', 'hit');
+        return JSON.parse(cachedHead);
+      }
+      await this.recordCacheEvent('diff', 'miss');
+
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
       
-      // Get PR files (the diff)
-      const filesResponse = await client.get(`/repos/${repoFullName}/pulls/${prNumber}/files`);
-      const files = filesResponse.data;
+      // Get PR files (the diff), following pagination
+      const listedFiles = await this.getPRFiles(client, repoFullName, prNumber);
+
+      // Recover patches GitHub omits for large or binary files
+      const { files, skipped } = await this.fillMissingPatches(client, repoFullName, pr, listedFiles);
+
+      if (pr.changed_files > listedFiles.length) {
+        skipped.push({
+          filename: null,
+          status: null,
+          reason: `${pr.changed_files - listedFiles.length} files beyond GitHub's ${MAX_PR_FILES}-file limit were not listed`
+        });
+      }
       
       // Build structured diff data
       const diffData = {
@@ -62,25 +366,28 @@ class GitHubService {
           commits: pr.commits,
           additions: pr.additions,
           deletions: pr.deletions,
-          changed_files: pr.changed_files
+          changed_files: pr.changed_files,
+          head: {
+            sha: pr.head.sha,
+            ref: pr.head.ref
+          },
+          base: {
+            sha: pr.base.sha,
+            ref: pr.base.ref
+          }
         },
-        files: files.map(file => ({
-          filename: file.filename,
-          status: file.status, // added, modified, deleted
-          additions: file.additions,
-          deletions: file.deletions,
-          patch: file.patch, // The actual diff content
-          blob_url: file.blob_url
-        }))
+        files: files.map(file => this.toDiffFile(file)),
+        skipped_files: skipped
       };
       
       // Cache for 30 minutes
-      await redis.setex(cacheKey, 1800, JSON.stringify(diffData));
+      await redis.setex(cacheKeyFor(pr.head.sha), 1800, JSON.stringify(diffData));
       
       return diffData;
       
     } catch (error) {
       console.error('GitHub API error:', error.response?.data || error.message);
+      this.throwIfRateLimited(error);
       
       if (error.response?.status === 404) {
         throw new Error('Pull request not found or no access to repository');
@@ -93,25 +400,345 @@ class GitHubService {
     }
   }
 
-  async verifyRepoAccess(repoFullName, userId) {
+  // Get a file's contents at a ref, cached by blob SHA. Returns null for
+  // binary files, directories and files too large for the contents API
+  async getFileContent(repoFullName, path, ref, userId, blobSha = null) {
     try {
-      const client = await this.createAuthenticatedClient(userId);
-      
-      // Try to get repository information
-      const response = await client.get(`/repos/${repoFullName}`);
-      const repo = response.data;
-      
-      // Check if user has at least read access
+      if (blobSha) {
+        const cached = await redis.get(`${this.cachePrefix}:blob:${blobSha}`);
+        if (cached !== null) {
+          return cached;
+        }
+      }
+
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+      const response = await client.get(`/repos/${repoFullName}/contents/${encodedPath}`, {
+        params: { ref }
+      });
+      const file = response.data;
+
+      // Files over 1 MB are returned without inline content
+      if (Array.isArray(file) || file.type !== 'file' || file.encoding !== 'base64') {
+        return null;
+      }
+
+      const content = Buffer.from(file.content, 'base64').toString('utf8');
+      if (content.includes('\u0000')) {
+        return null;
+      }
+
+      await redis.setex(`${this.cachePrefix}:blob:${file.sha}`, BLOB_CACHE_TTL, content);
+
+      return content;
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Get file content error:', error.response?.data || error.message);
+      this.throwIfRateLimited(error);
+      throw new Error('Failed to fetch file contents from GitHub');
+    }
+  }
+
+  // List the paths changed between two commits. Returns null when the
+  // file list may be incomplete, so callers fall back to a full review
+  async getChangedFiles(repoFullName, baseSha, headSha, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const response = await client.get(`/repos/${repoFullName}/compare/${baseSha}...${headSha}`);
+      const comparison = response.data;
+
+      if ((comparison.files || []).length >= MAX_COMPARE_FILES) {
+        return null;
+      }
+
       return {
-        hasAccess: true,
-        repo: {
+        status: comparison.status, // ahead, behind, identical or diverged
+        files: comparison.files.flatMap(file =>
+          [file.filename, file.previous_filename].filter(Boolean)
+        )
+      };
+
+    } catch (error) {
+      // The base commit is gone after a force-push that was garbage collected
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Compare commits error:', error.response?.data || error.message);
+      this.throwIfRateLimited(error);
+      throw new Error('Failed to compare commits on GitHub');
+    }
+  }
+
+  // List every file in a pull request by following Link headers
+  async getPRFiles(client, repoFullName, prNumber) {
+    const files = [];
+    let url = `/repos/${repoFullName}/pulls/${prNumber}/files`;
+    let params = { per_page: FILES_PER_PAGE };
+
+    while (url && files.length < MAX_PR_FILES) {
+      const response = await client.get(url, { params });
+      files.push(...response.data);
+
+      // The next link already carries the query string
+      url = this.getNextPageUrl(response.headers.link);
+      params = undefined;
+    }
+
+    return files.slice(0, MAX_PR_FILES);
+  }
+
+  // Fill in patches GitHub omitted, returning the files that can be reviewed
+  // and the ones that were skipped with a reason
+  async fillMissingPatches(client, repoFullName, pr, files) {
+    const missing = files.filter(file => !file.patch && file.status !== 'removed');
+    const skipped = files
+      .filter(file => !file.patch && file.status === 'removed')
+      .map(file => ({ filename: file.filename, status: file.status, reason: 'File was removed' }));
+
+    if (missing.length > 0) {
+      // 1. Try the raw compare diff between the PR base and head
+      const compareFiles = await this.getCompareDiffFiles(client, repoFullName, pr.base.sha, pr.head.sha);
+
+      for (const file of missing) {
+        const fromCompare = compareFiles.get(file.filename);
+
+        if (fromCompare?.patch) {
+          file.patch = fromCompare.patch;
+        } else if (fromCompare?.binary) {
+          skipped.push({ filename: file.filename, status: file.status, reason: 'Binary file' });
+        } else if (file.status === 'added') {
+          // 2. New files can be reviewed from their blob contents
+          const result = await this.getBlobPatch(client, repoFullName, file);
+          if (result.patch) {
+            file.patch = result.patch;
+          } else {
+            skipped.push({ filename: file.filename, status: file.status, reason: result.reason });
+          }
+        } else if (file.changes === 0) {
+          skipped.push({ filename: file.filename, status: file.status, reason: 'No content changes' });
+        } else {
+          skipped.push({ filename: file.filename, status: file.status, reason: 'Diff too large to retrieve' });
+        }
+      }
+    }
+
+    return {
+      files: files.filter(file => file.patch),
+      skipped
+    };
+  }
+
+  // Fetch a compare diff as per-file patches (empty when GitHub refuses it)
+  async getCompareDiffFiles(client, repoFullName, baseSha, headSha) {
+    try {
+      const response = await client.get(`/repos/${repoFullName}/compare/${baseSha}...${headSha}`, {
+        headers: { 'Accept': 'application/vnd.github.v3.diff' },
+        responseType: 'text'
+      });
+
+      return splitGitDiff(response.data);
+
+    } catch (error) {
+      // GitHub rejects diffs that are too large with 406
+      console.error('Compare diff fallback error:', error.response?.status || error.message);
+      return new Map();
+    }
+  }
+
+  // Build an all-additions patch for a new file from its blob
+  async getBlobPatch(client, repoFullName, file) {
+    try {
+      const response = await client.get(`/repos/${repoFullName}/git/blobs/${file.sha}`);
+      const blob = response.data;
+
+      if (blob.size > MAX_FALLBACK_BLOB_BYTES) {
+        return { patch: null, reason: 'File too large to review' };
+      }
+
+      const content = Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+      if (content.includes('\u0000')) {
+        return { patch: null, reason: 'Binary file' };
+      }
+
+      return { patch: content ? buildAdditionPatch(content) : null, reason: 'Empty file' };
+
+    } catch (error) {
+      console.error('Blob fallback error:', error.response?.data || error.message);
+      return { patch: null, reason: 'File contents could not be retrieved' };
+    }
+  }
+
+  // Helper: Keep the file fields the analysis pipeline uses
+  toDiffFile(file) {
+    return {
+      filename: file.filename,
+      status: file.status, // added, modified, deleted
+      sha: file.sha, // Blob SHA at the head commit
+      additions: file.additions,
+      deletions: file.deletions,
+      patch: file.patch, // The actual diff content
+      blob_url: file.blob_url,
+      ...(file.previous_filename && { previous_filename: file.previous_filename })
+    };
+  }
+
+  // Helper: Extract the rel="next" URL from a Link header
+  getNextPageUrl(linkHeader) {
+    const next = (linkHeader || '').split(',').find(part => part.includes('rel="next"'));
+    const match = next && next.match(/<([^>]+)>/);
+
+    return match ? match[1] : null;
+  }
+
+  // Get the diff between two commits in the same shape as getPRDiff
+  async getCompareDiff(repoFullName, baseSha, headSha, userId) {
+    const cacheKey = `${this.cachePrefix}:compare:${repoFullName}:${baseSha}...${headSha}`;
+
+    try {
+      // Check cache first
+      const cached = await redis.get(cacheKey);
+      if (cached) {
+        console.log('Using cached compare diff');
+        return JSON.parse(cached);
+      }
+
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const response = await client.get(`/repos/${repoFullName}/compare/${baseSha}...${headSha}`);
+      const comparison = response.data;
+      const listedFiles = comparison.files || [];
+
+      // Recover patches GitHub omits for large or binary files
+      const { files, skipped } = await this.fillMissingPatches(
+        client,
+        repoFullName,
+        { base: { sha: baseSha }, head: { sha: headSha } },
+        listedFiles
+      );
+
+      if (listedFiles.length >= MAX_COMPARE_FILES) {
+        skipped.push({
+          filename: null,
+          status: null,
+          reason: `Files beyond the compare API's ${MAX_COMPARE_FILES}-file limit were not listed`
+        });
+      }
+
+      const diffData = {
+        pr: {
+          number: null,
+          title: `Compare ${baseSha.substring(0, 7)}...${headSha.substring(0, 7)}`,
+          body: comparison.commits.map(commit => `- ${commit.commit.message.split('\n')[0]}`).join('\n'),
+          state: comparison.status,
+          commits: comparison.total_commits,
+          additions: listedFiles.reduce((sum, file) => sum + file.additions, 0),
+          deletions: listedFiles.reduce((sum, file) => sum + file.deletions, 0),
+          changed_files: listedFiles.length,
+          head: { sha: headSha, ref: headSha },
+          base: { sha: baseSha, ref: baseSha }
+        },
+        files: files.map(file => this.toDiffFile(file)),
+        skipped_files: skipped
+      };
+
+      // Commits are immutable, cache for 24 hours
+      await redis.setex(cacheKey, 86400, JSON.stringify(diffData));
+
+      return diffData;
+
+    } catch (error) {
+      console.error('GitHub compare error:', error.response?.data || error.message);
+      this.throwIfRateLimited(error);
+
+      if (error.response?.status === 404) {
+        throw new Error('Commits not found or no access to repository');
+      }
+
+      throw new Error('Failed to fetch compare diff from GitHub');
+    }
+  }
+
+  // Resolve a branch, tag or SHA to a commit SHA (null when it doesn't exist)
+  async resolveCommit(repoFullName, ref, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+      const response = await client.get(`/repos/${repoFullName}/commits/${encodedRef}`, {
+        headers: { 'Accept': 'application/vnd.github.sha' },
+        responseType: 'text'
+      });
+
+      return response.data.trim();
+
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 422) {
+        return null;
+      }
+
+      console.error('Resolve commit error:', error.response?.data || error.message);
+      this.throwIfRateLimited(error);
+      throw new Error('Failed to resolve ref on GitHub');
+    }
+  }
+
+  async getPRInfo(repoFullName, prNumber, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const response = await client.get(`/repos/${repoFullName}/pulls/${prNumber}`);
+      const pr = response.data;
+
+      return {
+        number: pr.number,
+        title: pr.title,
+        state: pr.state,
+        head: {
+          sha: pr.head.sha,
+          ref: pr.head.ref
+        },
+        base: {
+          sha: pr.base.sha,
+          ref: pr.base.ref
+        }
+      };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Get PR info error:', error.response?.data || error.message);
+      this.throwIfRateLimited(error);
+      throw new Error('Failed to fetch pull request from GitHub');
+    }
+  }
+
+  async verifyRepoAccess(repoFullName, userId) {
+    try {
+      // Try to get repository information (cached per user for 5 minutes)
+      const repo = await this.conditionalGet({
+        cacheKey: `${this.cachePrefix}:repo:${userId}:${repoFullName}`,
+        endpoint: 'repo',
+        ttl: 300,
+        userId,
+        url: `/repos/${repoFullName}`,
+        transform: repo => ({
           id: repo.id,
           name: repo.name,
           full_name: repo.full_name,
           private: repo.private,
           permissions: repo.permissions,
           default_branch: repo.default_branch
-        }
+        })
+      });
+      
+      // Check if user has at least read access
+      return {
+        hasAccess: true,
+        repo
       };
       
     } catch (error) {
@@ -136,96 +763,97 @@ class GitHubService {
   }
 
   async getUserRepositories(userId, page = 1, perPage = 30) {
-    const cacheKey = `github:user-repos:${userId}:${page}`;
+    const cacheKey = `${this.cachePrefix}:user-repos:${userId}:${page}:${perPage}`;
     
     try {
-      // Check cache first
-      const cached = await redis.get(cacheKey);
-      if (cached) {
-        console.log('Using cached user repositories');
-        return JSON.parse(cached);
-      }
-
-      const client = await this.createAuthenticatedClient(userId);
-      
-      // Get user's repositories
-      const response = await client.get('/user/repos', {
+      // Get user's repositories (cached for 10 minutes, then revalidated)
+      return await this.conditionalGet({
+        cacheKey,
+        endpoint: 'repos',
+        ttl: 600,
+        userId,
+        url: '/user/repos',
         params: {
           sort: 'updated',
           direction: 'desc',
           per_page: perPage,
           page: page,
           type: 'all' // all, owner, public, private, member
-        }
+        },
+        transform: repos => repos.map(repo => ({
+          id: repo.id,
+          name: repo.name,
+          full_name: repo.full_name,
+          owner: repo.owner.login,
+          private: repo.private,
+          archived: repo.archived,
+          description: repo.description,
+          language: repo.language,
+          updated_at: repo.updated_at,
+          permissions: repo.permissions
+        }))
       });
       
-      const repos = response.data.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        private: repo.private,
-        description: repo.description,
-        language: repo.language,
-        updated_at: repo.updated_at,
-        permissions: repo.permissions
-      }));
-      
-      // Cache for 10 minutes
-      await redis.setex(cacheKey, 600, JSON.stringify(repos));
-      
-      return repos;
-      
     } catch (error) {
       console.error('Get user repositories error:', error.response?.data || error.message);
       throw new Error('Failed to fetch user repositories from GitHub');
     }
   }
 
+  // List every repository the user can access, including those of their
+  // organizations, by paging through getUserRepositories
+  async getAllUserRepositories(userId) {
+    const perPage = 100;
+    const repos = [];
+
+    for (let page = 1; page <= MAX_DISCOVERY_PAGES; page++) {
+      const pageRepos = await this.getUserRepositories(userId, page, perPage);
+      repos.push(...pageRepos);
+
+      if (pageRepos.length < perPage) {
+        return { repos, truncated: false };
+      }
+    }
+
+    return { repos, truncated: true };
+  }
+
   async getPullRequests(repoFullName, userId, state = 'open', page = 1, perPage = 10) {
-    const cacheKey = `github:prs:${repoFullName}:${state}:${page}`;
+    const cacheKey = `${this.cachePrefix}:prs:${repoFullName}:${state}:${page}`;
     
     try {
-      // Check cache first
-      const cached = await redis.get(cacheKey);
-      if (cached) {
-        console.log('Using cached pull requests');
-        return JSON.parse(cached);
-      }
-
-      const client = await this.createAuthenticatedClient(userId);
-      
-      // Get pull requests
-      const response = await client.get(`/repos/${repoFullName}/pulls`, {
+      // Get pull requests (cached for 5 minutes, then revalidated)
+      return await this.conditionalGet({
+        cacheKey,
+        endpoint: 'pulls',
+        ttl: 300,
+        userId,
+        repoFullName,
+        url: `/repos/${repoFullName}/pulls`,
         params: {
           state: state, // open, closed, all
           sort: 'updated',
           direction: 'desc',
           per_page: perPage,
           page: page
-        }
-      });
-      
-      const prs = response.data.map(pr => ({
-        number: pr.number,
-        title: pr.title,
-        body: pr.body,
-        state: pr.state,
-        user: {
-          login: pr.user.login,
-          avatar_url: pr.user.avatar_url
         },
-        created_at: pr.created_at,
-        updated_at: pr.updated_at,
-        commits: pr.commits,
-        additions: pr.additions,
-        deletions: pr.deletions,
-        changed_files: pr.changed_files
-      }));
-      
-      // Cache for 5 minutes (PRs change frequently)
-      await redis.setex(cacheKey, 300, JSON.stringify(prs));
-      
-      return prs;
+        transform: prs => prs.map(pr => ({
+          number: pr.number,
+          title: pr.title,
+          body: pr.body,
+          state: pr.state,
+          user: {
+            login: pr.user.login,
+            avatar_url: pr.user.avatar_url
+          },
+          created_at: pr.created_at,
+          updated_at: pr.updated_at,
+          commits: pr.commits,
+          additions: pr.additions,
+          deletions: pr.deletions,
+          changed_files: pr.changed_files
+        }))
+      });
       
     } catch (error) {
       console.error('Get pull requests error:', error.response?.data || error.message);
@@ -238,6 +866,176 @@ class GitHubService {
     }
   }
 
+  // Create a pull request review with inline comments on the right side of the diff
+  async createPullRequestReview(repoFullName, prNumber, userId, review) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+
+      const response = await client.post(`/repos/${repoFullName}/pulls/${prNumber}/reviews`, {
+        commit_id: review.commitId,
+        body: review.body,
+        event: 'COMMENT',
+        comments: review.comments.map(comment => ({
+          path: comment.path,
+          line: comment.line,
+          side: 'RIGHT',
+          body: comment.body
+        }))
+      });
+
+      return {
+        id: response.data.id,
+        html_url: response.data.html_url
+      };
+
+    } catch (error) {
+      console.error('Create review error:', error.response?.data || error.message);
+
+      if (error.response?.status === 422) {
+        throw new Error(`GitHub rejected the review: ${error.response.data?.message || 'validation failed'}`);
+      }
+
+      throw new Error('Failed to publish pull request review to GitHub');
+    }
+  }
+
+  // Add a single inline comment to a pull request, outside any new review
+  async createReviewComment(repoFullName, prNumber, userId, comment) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+
+      const response = await client.post(`/repos/${repoFullName}/pulls/${prNumber}/comments`, {
+        commit_id: comment.commitId,
+        path: comment.path,
+        line: comment.line,
+        side: 'RIGHT',
+        body: comment.body
+      });
+
+      return { id: response.data.id };
+
+    } catch (error) {
+      console.error('Create review comment error:', error.response?.data || error.message);
+
+      if (error.response?.status === 422) {
+        throw new Error(`GitHub rejected the review comment: ${error.response.data?.message || 'validation failed'}`);
+      }
+
+      throw new Error('Failed to publish review comment to GitHub');
+    }
+  }
+
+  // Get all comments belonging to a pull request review
+  async getReviewComments(repoFullName, prNumber, reviewId, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const perPage = 100;
+      const comments = [];
+
+      for (let page = 1; ; page++) {
+        const response = await client.get(
+          `/repos/${repoFullName}/pulls/${prNumber}/reviews/${reviewId}/comments`,
+          { params: { per_page: perPage, page } }
+        );
+
+        comments.push(...response.data.map(comment => ({
+          id: comment.id,
+          path: comment.path,
+          line: comment.line ?? comment.original_line,
+          body: comment.body
+        })));
+
+        if (response.data.length < perPage) break;
+      }
+
+      return comments;
+
+    } catch (error) {
+      console.error('Get review comments error:', error.response?.data || error.message);
+      throw new Error('Failed to fetch review comments from GitHub');
+    }
+  }
+
+  // Update the body of a review comment (returns null if it was deleted on GitHub)
+  async updateReviewComment(repoFullName, commentId, userId, body) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const response = await client.patch(`/repos/${repoFullName}/pulls/comments/${commentId}`, { body });
+
+      return { id: response.data.id };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Update review comment error:', error.response?.data || error.message);
+      throw new Error('Failed to update review comment on GitHub');
+    }
+  }
+
+  // Update the summary body of an existing review
+  async updateReviewBody(repoFullName, prNumber, reviewId, userId, body) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const response = await client.put(`/repos/${repoFullName}/pulls/${prNumber}/reviews/${reviewId}`, { body });
+
+      return { id: response.data.id };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Update review error:', error.response?.data || error.message);
+      throw new Error('Failed to update pull request review on GitHub');
+    }
+  }
+
+  // Create a check run for a commit
+  async createCheckRun(repoFullName, userId, checkRun) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+
+      const response = await client.post(`/repos/${repoFullName}/check-runs`, {
+        name: checkRun.name,
+        head_sha: checkRun.headSha,
+        status: 'in_progress',
+        started_at: new Date().toISOString(),
+        external_id: checkRun.externalId,
+        ...(checkRun.detailsUrl && { details_url: checkRun.detailsUrl })
+      });
+
+      return {
+        id: response.data.id,
+        html_url: response.data.html_url
+      };
+
+    } catch (error) {
+      console.error('Create check run error:', error.response?.data || error.message);
+
+      if (error.response?.status === 403) {
+        throw new Error('Check runs require GitHub App authentication');
+      }
+
+      throw new Error('Failed to create check run on GitHub');
+    }
+  }
+
+  // Update a check run (status, conclusion, output and annotations)
+  async updateCheckRun(repoFullName, checkRunId, userId, data) {
+    try {
+      const client = await this.createAuthenticatedClient(userId, repoFullName);
+      const response = await client.patch(`/repos/${repoFullName}/check-runs/${checkRunId}`, data);
+
+      return { id: response.data.id };
+
+    } catch (error) {
+      console.error('Update check run error:', error.response?.data || error.message);
+      throw new Error('Failed to update check run on GitHub');
+    }
+  }
+
   // Helper method to check rate limiting
   async getRateLimitStatus(userId) {
     try {
@@ -248,7 +1046,8 @@ class GitHubService {
         limit: response.data.rate.limit,
         remaining: response.data.rate.remaining,
         reset: new Date(response.data.rate.reset * 1000),
-        used: response.data.rate.limit - response.data.rate.remaining
+        used: response.data.rate.limit - response.data.rate.remaining,
+        cache: await this.getCacheStats()
       };
       
     } catch (error) {
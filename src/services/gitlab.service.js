@@ -0,0 +1,658 @@
+const axios = require('axios');
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { SourceControlProvider } = require('./provider.service');
+const { encrypt, decrypt, needsReEncryption } = require('../utils/encryption');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// GitLab access levels (https://docs.gitlab.com/ee/api/members.html)
+const ACCESS_LEVELS = {
+  DEVELOPER: 30,
+  MAINTAINER: 40
+};
+
+// Map GitHub-style PR states to GitLab merge request states
+const MR_STATES = {
+  open: 'opened',
+  closed: 'closed',
+  merged: 'merged',
+  all: 'all'
+};
+
+class GitLabService extends SourceControlProvider {
+  constructor() {
+    super();
+    this.baseURL = process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4';
+    this.host = new URL(this.baseURL).host;
+  }
+
+  // GitLab requests run as the user, with the access token they connected.
+  // Without one the AuthorizationError is passed on by every request method
+  async getGitlabToken(userId) {
+    const account = await prisma.gitlabAccount.findUnique({
+      where: { userId_host: { userId, host: this.host } }
+    });
+
+    if (!account) {
+      throw new AuthorizationError(`Connect your ${this.host} account first (PUT /api/auth/gitlab)`);
+    }
+
+    return decrypt(account.token);
+  }
+
+  // Create authenticated axios instance
+  async createAuthenticatedClient(userId) {
+    return this.createClient(await this.getGitlabToken(userId));
+  }
+
+  createClient(token) {
+    return axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'PRIVATE-TOKEN': token,
+        'User-Agent': 'CodeReviewAPI/1.0'
+      }
+    });
+  }
+
+  // What GitLab returns depends on whose token is used, so every cache
+  // entry belongs to one user
+  cacheKey(userId, ...parts) {
+    return `gitlab:user:${userId}:${parts.join(':')}`;
+  }
+
+  async invalidateUserCache(userId) {
+    const keys = await redis.keys(this.cacheKey(userId, '*'));
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  }
+
+  // Store a user's GitLab access token after checking it works
+  async connectAccount(userId, token) {
+    let gitlabUser;
+    try {
+      const response = await this.createClient(token).get('/user');
+      gitlabUser = response.data;
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        throw new ValidationError('Invalid GitLab access token');
+      }
+
+      console.error('GitLab user error:', error.response?.data || error.message);
+      throw new Error('Failed to verify GitLab access token');
+    }
+
+    const data = {
+      token: encrypt(token),
+      gitlabUserId: gitlabUser.id.toString(),
+      gitlabUsername: gitlabUser.username
+    };
+
+    const account = await prisma.gitlabAccount.upsert({
+      where: { userId_host: { userId, host: this.host } },
+      update: data,
+      create: { userId, host: this.host, ...data }
+    });
+
+    await this.invalidateUserCache(userId);
+
+    return this.formatAccount(account);
+  }
+
+  async disconnectAccount(userId) {
+    const { count } = await prisma.gitlabAccount.deleteMany({
+      where: { userId, host: this.host }
+    });
+
+    if (count === 0) {
+      throw new NotFoundError('No GitLab account connected');
+    }
+
+    await this.invalidateUserCache(userId);
+  }
+
+  async getAccount(userId) {
+    const account = await prisma.gitlabAccount.findUnique({
+      where: { userId_host: { userId, host: this.host } }
+    });
+
+    return account ? this.formatAccount(account) : null;
+  }
+
+  // Re-encrypt stored GitLab tokens with the current encryption key
+  async reEncryptTokens() {
+    const result = { scanned: 0, reEncrypted: 0, failed: 0 };
+    const accounts = await prisma.gitlabAccount.findMany({
+      select: { id: true, token: true }
+    });
+
+    for (const account of accounts) {
+      result.scanned++;
+      if (!needsReEncryption(account.token)) continue;
+
+      try {
+        const updated = await prisma.gitlabAccount.updateMany({
+          where: { id: account.id, token: account.token },
+          data: { token: encrypt(decrypt(account.token)) }
+        });
+        result.reEncrypted += updated.count;
+      } catch (error) {
+        result.failed++;
+        console.error(`Failed to re-encrypt GitLab token of account ${account.id}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  formatAccount(account) {
+    return {
+      host: account.host,
+      username: account.gitlabUsername,
+      connectedAt: account.createdAt,
+      updatedAt: account.updatedAt
+    };
+  }
+
+  // Project paths (group/subgroup/project) are used URL-encoded as ids
+  projectId(repoFullName) {
+    return encodeURIComponent(repoFullName);
+  }
+
+  // Diffs are cached per head commit, so only a known head SHA can hit the cache
+  async getPRDiff(repoFullName, mrIid, userId, headSha = null) {
+    const cacheKeyFor = sha => this.cacheKey(userId, 'diff', repoFullName, mrIid, sha);
+
+    try {
+      // Check cache first
+      const cached = headSha && await redis.get(cacheKeyFor(headSha));
+      if (cached) {
+        console.log('Using cached MR diff');
+        return JSON.parse(cached);
+      }
+
+      const client = await this.createAuthenticatedClient(userId);
+      const projectPath = `/projects/${this.projectId(repoFullName)}/merge_requests/${mrIid}`;
+
+      // Get merge request with its changes
+      const response = await client.get(`${projectPath}/changes`, {
+        params: { access_raw_diffs: true }
+      });
+      const mr = response.data;
+
+      const { files, skippedFiles } = this.mapChanges(
+        mr.changes,
+        mr.web_url ? `${mr.web_url}/diffs` : null
+      );
+
+      if (mr.overflow) {
+        skippedFiles.push({
+          filename: null,
+          status: null,
+          reason: 'GitLab truncated the merge request changes'
+        });
+      }
+
+      // Build structured diff data in the same shape as GitHub
+      const diffData = {
+        pr: {
+          number: mr.iid,
+          title: mr.title,
+          body: mr.description,
+          state: this.mapMergeRequestState(mr.state),
+          commits: null,
+          additions: files.reduce((sum, file) => sum + file.additions, 0),
+          deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+          changed_files: mr.changes_count ? parseInt(mr.changes_count) : files.length,
+          head: {
+            sha: mr.diff_refs?.head_sha || mr.sha,
+            ref: mr.source_branch
+          },
+          base: {
+            sha: mr.diff_refs?.base_sha || null,
+            ref: mr.target_branch
+          }
+        },
+        files,
+        skipped_files: skippedFiles
+      };
+
+      // Cache for 30 minutes
+      await redis.setex(cacheKeyFor(diffData.pr.head.sha), 1800, JSON.stringify(diffData));
+
+      return diffData;
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      console.error('GitLab API error:', error.response?.data || error.message);
+
+      if (error.response?.status === 404) {
+        throw new Error('Merge request not found or no access to project');
+      }
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        throw new Error('Access denied to project or rate limit exceeded');
+      }
+
+      throw new Error('Failed to fetch MR diff from GitLab');
+    }
+  }
+
+  // Get the diff between two commits in the same shape as getPRDiff
+  async getCompareDiff(repoFullName, baseSha, headSha, userId) {
+    const cacheKey = this.cacheKey(userId, 'compare', repoFullName, `${baseSha}...${headSha}`);
+
+    try {
+      // Check cache first
+      const cached = await redis.get(cacheKey);
+      if (cached) {
+        console.log('Using cached compare diff');
+        return JSON.parse(cached);
+      }
+
+      const client = await this.createAuthenticatedClient(userId);
+      const response = await client.get(`/projects/${this.projectId(repoFullName)}/repository/compare`, {
+        params: { from: baseSha, to: headSha }
+      });
+      const comparison = response.data;
+
+      const { files, skippedFiles } = this.mapChanges(comparison.diffs, comparison.web_url || null);
+
+      if (comparison.compare_timeout) {
+        skippedFiles.push({
+          filename: null,
+          status: null,
+          reason: 'GitLab timed out comparing the commits'
+        });
+      }
+
+      const diffData = {
+        pr: {
+          number: null,
+          title: `Compare ${baseSha.substring(0, 7)}...${headSha.substring(0, 7)}`,
+          body: comparison.commits.map(commit => `- ${commit.title}`).join('\n'),
+          state: null,
+          commits: comparison.commits.length,
+          additions: files.reduce((sum, file) => sum + file.additions, 0),
+          deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+          changed_files: comparison.diffs.length,
+          head: { sha: headSha, ref: headSha },
+          base: { sha: baseSha, ref: baseSha }
+        },
+        files,
+        skipped_files: skippedFiles
+      };
+
+      // Commits are immutable, cache for 24 hours
+      await redis.setex(cacheKey, 86400, JSON.stringify(diffData));
+
+      return diffData;
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      console.error('GitLab compare error:', error.response?.data || error.message);
+
+      if (error.response?.status === 404) {
+        throw new Error('Commits not found or no access to project');
+      }
+
+      throw new Error('Failed to fetch compare diff from GitLab');
+    }
+  }
+
+  // Resolve a branch, tag or SHA to a commit SHA (null when it doesn't exist)
+  async resolveCommit(repoFullName, ref, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId);
+      const response = await client.get(
+        `/projects/${this.projectId(repoFullName)}/repository/commits/${encodeURIComponent(ref)}`
+      );
+
+      return response.data.id;
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Resolve commit error:', error.response?.data || error.message);
+      throw new Error('Failed to resolve ref on GitLab');
+    }
+  }
+
+  async getPRInfo(repoFullName, mrIid, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId);
+      const response = await client.get(
+        `/projects/${this.projectId(repoFullName)}/merge_requests/${mrIid}`
+      );
+      const mr = response.data;
+
+      return {
+        number: mr.iid,
+        title: mr.title,
+        state: this.mapMergeRequestState(mr.state),
+        head: {
+          sha: mr.diff_refs?.head_sha || mr.sha,
+          ref: mr.source_branch
+        },
+        base: {
+          sha: mr.diff_refs?.base_sha || null,
+          ref: mr.target_branch
+        }
+      };
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Get MR info error:', error.response?.data || error.message);
+      throw new Error('Failed to fetch merge request from GitLab');
+    }
+  }
+
+  async verifyRepoAccess(repoFullName, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId);
+      const response = await client.get(`/projects/${this.projectId(repoFullName)}`);
+      const project = response.data;
+
+      const accessLevel = Math.max(
+        project.permissions?.project_access?.access_level || 0,
+        project.permissions?.group_access?.access_level || 0
+      );
+
+      // Public projects are visible to everyone; only members can connect them
+      if (accessLevel === 0) {
+        return {
+          hasAccess: false,
+          error: 'You are not a member of this project'
+        };
+      }
+
+      return {
+        hasAccess: true,
+        repo: {
+          id: project.id,
+          name: project.path,
+          full_name: project.path_with_namespace,
+          private: project.visibility !== 'public',
+          permissions: {
+            pull: true,
+            push: accessLevel >= ACCESS_LEVELS.DEVELOPER,
+            admin: accessLevel >= ACCESS_LEVELS.MAINTAINER
+          },
+          default_branch: project.default_branch
+        }
+      };
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      console.error('Project access verification error:', error.response?.data || error.message);
+
+      if (error.response?.status === 404) {
+        return {
+          hasAccess: false,
+          error: 'Project not found or no access'
+        };
+      }
+
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        return {
+          hasAccess: false,
+          error: 'Access denied to project'
+        };
+      }
+
+      throw new Error('Failed to verify project access');
+    }
+  }
+
+  async getUserRepositories(userId, page = 1, perPage = 30) {
+    const cacheKey = this.cacheKey(userId, 'repos', page, perPage);
+
+    try {
+      // Check cache first
+      const cached = await redis.get(cacheKey);
+      if (cached) {
+        console.log('Using cached GitLab projects');
+        return JSON.parse(cached);
+      }
+
+      const client = await this.createAuthenticatedClient(userId);
+
+      // Get projects the user is a member of
+      const response = await client.get('/projects', {
+        params: {
+          membership: true,
+          order_by: 'last_activity_at',
+          sort: 'desc',
+          per_page: perPage,
+          page: page
+        }
+      });
+
+      const repos = response.data.map(project => ({
+        id: project.id,
+        name: project.path,
+        full_name: project.path_with_namespace,
+        private: project.visibility !== 'public',
+        description: project.description,
+        language: null, // Not included in the projects list
+        updated_at: project.last_activity_at,
+        permissions: project.permissions
+      }));
+
+      // Cache for 10 minutes
+      await redis.setex(cacheKey, 600, JSON.stringify(repos));
+
+      return repos;
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      console.error('Get GitLab projects error:', error.response?.data || error.message);
+      throw new Error('Failed to fetch projects from GitLab');
+    }
+  }
+
+  async getPullRequests(repoFullName, userId, state = 'open', page = 1, perPage = 10) {
+    const cacheKey = this.cacheKey(userId, 'mrs', repoFullName, state, page, perPage);
+
+    try {
+      // Check cache first
+      const cached = await redis.get(cacheKey);
+      if (cached) {
+        console.log('Using cached merge requests');
+        return JSON.parse(cached);
+      }
+
+      const client = await this.createAuthenticatedClient(userId);
+
+      // Get merge requests
+      const response = await client.get(`/projects/${this.projectId(repoFullName)}/merge_requests`, {
+        params: {
+          state: MR_STATES[state] || state,
+          order_by: 'updated_at',
+          sort: 'desc',
+          per_page: perPage,
+          page: page
+        }
+      });
+
+      const prs = response.data.map(mr => ({
+        number: mr.iid,
+        title: mr.title,
+        body: mr.description,
+        state: this.mapMergeRequestState(mr.state),
+        user: {
+          login: mr.author?.username,
+          avatar_url: mr.author?.avatar_url
+        },
+        created_at: mr.created_at,
+        updated_at: mr.updated_at,
+        commits: null,
+        additions: null,
+        deletions: null,
+        changed_files: null
+      }));
+
+      // Cache for 5 minutes (MRs change frequently)
+      await redis.setex(cacheKey, 300, JSON.stringify(prs));
+
+      return prs;
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      console.error('Get merge requests error:', error.response?.data || error.message);
+
+      if (error.response?.status === 404) {
+        throw new Error('Project not found or no access');
+      }
+
+      throw new Error('Failed to fetch merge requests from GitLab');
+    }
+  }
+
+  // Get a file's contents at a commit (immutable, so cached by ref and path)
+  async getFileContent(repoFullName, path, ref, userId) {
+    const cacheKey = this.cacheKey(userId, 'blob', repoFullName, ref, path);
+
+    try {
+      const cached = await redis.get(cacheKey);
+      if (cached !== null) {
+        return cached;
+      }
+
+      const client = await this.createAuthenticatedClient(userId);
+      const response = await client.get(
+        `/projects/${this.projectId(repoFullName)}/repository/files/${encodeURIComponent(path)}`,
+        { params: { ref } }
+      );
+
+      const content = Buffer.from(response.data.content, response.data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+      if (content.includes('\u0000')) {
+        return null;
+      }
+
+      // Cache for 24 hours
+      await redis.setex(cacheKey, 86400, content);
+
+      return content;
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Get GitLab file error:', error.response?.data || error.message);
+      throw new Error('Failed to fetch file contents from GitLab');
+    }
+  }
+
+  // List the paths changed between two commits (status follows GitHub's
+  // compare API: "ahead" only when the base is an ancestor of the head)
+  async getChangedFiles(repoFullName, baseSha, headSha, userId) {
+    try {
+      const client = await this.createAuthenticatedClient(userId);
+      const projectPath = `/projects/${this.projectId(repoFullName)}/repository`;
+
+      const [mergeBase, comparison] = await Promise.all([
+        client.get(`${projectPath}/merge_base`, {
+          params: { refs: [baseSha, headSha] },
+          paramsSerializer: { indexes: false } // refs[]=a&refs[]=b
+        }),
+        client.get(`${projectPath}/compare`, {
+          params: { from: baseSha, to: headSha }
+        })
+      ]);
+
+      return {
+        status: mergeBase.data.id === baseSha ? 'ahead' : 'diverged',
+        files: comparison.data.diffs.flatMap(diff =>
+          diff.renamed_file ? [diff.new_path, diff.old_path] : [diff.new_path]
+        )
+      };
+
+    } catch (error) {
+      if (error.isOperational) throw error;
+
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Compare commits error:', error.response?.data || error.message);
+      throw new Error('Failed to compare commits on GitLab');
+    }
+  }
+
+  // Helper: Map GitLab diffs to GitHub-style files. GitLab leaves the diff
+  // empty for binary and oversized files, which are reported as skipped.
+  mapChanges(changes, blobUrl) {
+    const skippedFiles = changes
+      .filter(change => !change.diff)
+      .map(change => ({
+        filename: change.new_path,
+        status: this.mapChangeStatus(change),
+        reason: this.getSkipReason(change)
+      }));
+
+    const files = changes.filter(change => change.diff).map(change => {
+      const { additions, deletions } = this.countChanges(change.diff);
+
+      return {
+        filename: change.new_path,
+        status: this.mapChangeStatus(change),
+        additions,
+        deletions,
+        patch: change.diff,
+        blob_url: blobUrl,
+        ...(change.renamed_file && { previous_filename: change.old_path })
+      };
+    });
+
+    return { files, skippedFiles };
+  }
+
+  // Helper: Map GitLab change flags to GitHub file statuses
+  mapChangeStatus(change) {
+    if (change.new_file) return 'added';
+    if (change.deleted_file) return 'removed';
+    if (change.renamed_file) return 'renamed';
+    return 'modified';
+  }
+
+  // Helper: Explain why a change has no reviewable diff
+  getSkipReason(change) {
+    if (change.deleted_file) return 'File was removed';
+    if (change.too_large) return 'Diff too large to retrieve';
+    return 'No diff available (binary or empty file)';
+  }
+
+  // Helper: Map GitLab merge request state to GitHub PR state
+  mapMergeRequestState(state) {
+    return state === 'opened' ? 'open' : state;
+  }
+
+  // Helper: Count added/removed lines in a diff
+  countChanges(diff = '') {
+    return diff.split('\n').reduce((counts, line) => {
+      if (line.startsWith('+') && !line.startsWith('+++')) counts.additions++;
+      if (line.startsWith('-') && !line.startsWith('---')) counts.deletions++;
+      return counts;
+    }, { additions: 0, deletions: 0 });
+  }
+}
+
+module.exports = new GitLabService();
@@ -0,0 +1,301 @@
+const prisma = require("../config/database");
+const redis = require("../config/redis");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+/**
+ * Maps external accounts (GitHub accounts, OpenID Connect subjects) to
+ * users. A user can have several identities plus a password, and signs in
+ * with any of them.
+ */
+class IdentityService {
+  // The GitHub account a user's GitHub API calls run as
+  isPrimaryGithub(user, identity) {
+    return (
+      identity.provider === "GITHUB" &&
+      user.githubHost === identity.issuer &&
+      user.githubId === identity.subject
+    );
+  }
+
+  async touchIdentity(identity, { username, email }) {
+    await prisma.identity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date(), username, email },
+    });
+  }
+
+  async findIdentity(provider, issuer, subject) {
+    return prisma.identity.findUnique({
+      where: { provider_issuer_subject: { provider, issuer, subject } },
+      include: { user: true },
+    });
+  }
+
+  // User signing in with a GitHub account, created on first sign-in
+  async findOrCreateGithubUser(githubHost, githubUser) {
+    const subject = githubUser.id.toString();
+    const profile = { username: githubUser.login, email: githubUser.email };
+
+    const identity = await this.findIdentity("GITHUB", githubHost, subject);
+    if (identity) {
+      await this.touchIdentity(identity, profile);
+
+      if (!this.isPrimaryGithub(identity.user, identity)) {
+        return identity.user;
+      }
+
+      return prisma.user.update({
+        where: { id: identity.userId },
+        data: { username: githubUser.login, avatar: githubUser.avatar_url },
+      });
+    }
+
+    // Users from before identities were introduced only have githubId
+    const existing = await prisma.user.findUnique({
+      where: { githubHost_githubId: { githubHost, githubId: subject } },
+    });
+
+    if (existing) {
+      await prisma.identity.create({
+        data: {
+          userId: existing.id,
+          provider: "GITHUB",
+          issuer: githubHost,
+          subject,
+          ...profile,
+        },
+      });
+
+      return prisma.user.update({
+        where: { id: existing.id },
+        data: { username: githubUser.login, avatar: githubUser.avatar_url },
+      });
+    }
+
+    const emailOwner = githubUser.email
+      ? await prisma.user.findUnique({ where: { email: githubUser.email } })
+      : null;
+
+    // GitHub's public email isn't necessarily verified, so it never takes
+    // over an existing account
+    if (emailOwner?.emailVerifiedAt) {
+      throw new ValidationError(
+        `An account with ${githubUser.email} already exists. Sign in to it and link your GitHub account instead`
+      );
+    }
+
+    // Nobody has proved they own the email of an unverified account, so it
+    // doesn't block the sign-in; the new user gets a placeholder email
+    const email =
+      githubUser.email && !emailOwner
+        ? githubUser.email
+        : `${githubUser.login}@github.local`;
+
+    return prisma.user.create({
+      data: {
+        email,
+        username: githubUser.login,
+        githubId: subject,
+        githubHost,
+        avatar: githubUser.avatar_url,
+        identities: {
+          create: { provider: "GITHUB", issuer: githubHost, subject, ...profile },
+        },
+      },
+    });
+  }
+
+  // Link a GitHub account to a signed-in user. The first linked account
+  // becomes the one GitHub API calls run as; returns whether this one is it
+  async linkGithub(userId, githubHost, githubUser) {
+    const subject = githubUser.id.toString();
+
+    const identity = await this.findIdentity("GITHUB", githubHost, subject);
+    const legacyOwner = await prisma.user.findUnique({
+      where: { githubHost_githubId: { githubHost, githubId: subject } },
+      select: { id: true },
+    });
+    const ownerId = identity?.userId || legacyOwner?.id;
+
+    if (ownerId && ownerId !== userId) {
+      throw new ValidationError(
+        "This GitHub account is already linked to another user"
+      );
+    }
+
+    if (!identity) {
+      await prisma.identity.create({
+        data: {
+          userId,
+          provider: "GITHUB",
+          issuer: githubHost,
+          subject,
+          username: githubUser.login,
+          email: githubUser.email,
+        },
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user.githubId) {
+      try {
+        await prisma.user.update({
+          where: { id: userId },
+          data: {
+            githubId: subject,
+            githubHost,
+            username: githubUser.login,
+            avatar: user.avatar || githubUser.avatar_url,
+          },
+        });
+      } catch (error) {
+        if (error.code === "P2002") {
+          throw new ValidationError(
+            `Another user already has the username ${githubUser.login} on ${githubHost}`
+          );
+        }
+        throw error;
+      }
+    }
+
+    await redis.del(`user:${userId}`);
+
+    return (
+      !user.githubId ||
+      (user.githubHost === githubHost && user.githubId === subject)
+    );
+  }
+
+  /**
+   * User signing in through OpenID Connect. A new subject is linked to the
+   * existing user with the same email only when both the provider and we
+   * have verified that email; otherwise a new user is created.
+   */
+  async findOrCreateOidcUser(claims) {
+    const { issuer, sub: subject } = claims;
+    const profile = {
+      username: claims.preferred_username || null,
+      email: claims.email || null,
+    };
+    const emailVerified =
+      claims.email_verified === true || claims.email_verified === "true";
+
+    const identity = await this.findIdentity("OIDC", issuer, subject);
+    if (identity) {
+      await this.touchIdentity(identity, profile);
+      return identity.user;
+    }
+
+    const email = (claims.email || "").toLowerCase();
+    const existing =
+      email && emailVerified
+        ? await prisma.user.findUnique({ where: { email } })
+        : null;
+
+    // An unverified account may have been registered by someone else in
+    // anticipation of this login, so it is never taken over
+    if (existing?.emailVerifiedAt) {
+      await prisma.identity.create({
+        data: { userId: existing.id, provider: "OIDC", issuer, subject, ...profile },
+      });
+
+      return existing;
+    }
+
+    const fallbackEmail = `${subject}@${new URL(issuer).hostname}.oidc.local`;
+    const userEmail =
+      email && !(await prisma.user.findUnique({ where: { email } }))
+        ? email
+        : fallbackEmail;
+
+    return prisma.user.create({
+      data: {
+        email: userEmail,
+        username:
+          claims.preferred_username ||
+          claims.name ||
+          (email ? email.split("@")[0] : subject),
+        avatar: claims.picture || null,
+        emailVerifiedAt: emailVerified && userEmail === email ? new Date() : null,
+        identities: {
+          create: { provider: "OIDC", issuer, subject, ...profile },
+        },
+      },
+    });
+  }
+
+  async getIdentities(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        githubId: true,
+        githubHost: true,
+        passwordHash: true,
+        identities: { orderBy: { createdAt: "asc" } },
+      },
+    });
+
+    return {
+      hasPassword: Boolean(user.passwordHash),
+      identities: user.identities.map((identity) => ({
+        id: identity.id,
+        provider: identity.provider,
+        issuer: identity.issuer,
+        subject: identity.subject,
+        username: identity.username,
+        email: identity.email,
+        primary: this.isPrimaryGithub(user, identity),
+        createdAt: identity.createdAt,
+        lastLoginAt: identity.lastLoginAt,
+      })),
+    };
+  }
+
+  // Unlink an identity, keeping at least one way to sign in
+  async unlinkIdentity(userId, identityId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { identities: { orderBy: { createdAt: "asc" } } },
+    });
+
+    const identity = user.identities.find((entry) => entry.id === identityId);
+    if (!identity) {
+      throw new NotFoundError("Identity not found");
+    }
+
+    if (user.identities.length === 1 && !user.passwordHash) {
+      throw new ValidationError(
+        "You can't unlink your only way to sign in; set a password or link another account first"
+      );
+    }
+
+    await prisma.identity.delete({ where: { id: identity.id } });
+
+    if (this.isPrimaryGithub(user, identity)) {
+      // GitHub API calls move to the next linked GitHub account, if any
+      const next = user.identities.find(
+        (entry) => entry.id !== identity.id && entry.provider === "GITHUB"
+      );
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: {
+          githubId: next?.subject || null,
+          githubHost: next?.issuer || null,
+        },
+      });
+    }
+
+    // Sessions stop acting as the unlinked GitHub account
+    if (identity.provider === "GITHUB") {
+      await prisma.session.updateMany({
+        where: { userId, githubHost: identity.issuer },
+        data: { githubToken: null },
+      });
+    }
+
+    await redis.del(`user:${userId}`);
+  }
+}
+
+module.exports = new IdentityService();
@@ -0,0 +1,47 @@
+const axios = require("axios");
+
+/**
+ * Sends transactional email through an HTTP mail API (MAIL_API_URL receives
+ * { from, to, subject, text } as JSON). Without one, messages are logged so
+ * links can be followed in development.
+ */
+class MailService {
+  async sendMail({ to, subject, text }) {
+    const from = process.env.MAIL_FROM || "Code Review Assistant <no-reply@localhost>";
+
+    if (!process.env.MAIL_API_URL) {
+      console.log("[EMAIL]", JSON.stringify({ to, subject, text }));
+      return;
+    }
+
+    await axios.post(
+      process.env.MAIL_API_URL,
+      { from, to, subject, text },
+      {
+        headers: process.env.MAIL_API_KEY
+          ? { Authorization: `Bearer ${process.env.MAIL_API_KEY}` }
+          : {},
+        timeout: 10000,
+      }
+    );
+  }
+
+  async sendVerificationEmail(email, token) {
+    const baseUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    const link = `${baseUrl.replace(/\/$/, "")}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await this.sendMail({
+      to: email,
+      subject: "Verify your email address",
+      text: [
+        "Confirm your email address to sign in to Code Review Assistant:",
+        "",
+        link,
+        "",
+        "The link expires in 24 hours. If you didn't create an account, ignore this email.",
+      ].join("\n"),
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const redis = require("../config/redis");
+const { AuthenticationError } = require("../utils/errors");
+
+// How long a user has to finish signing in with the provider
+const STATE_TTL_SECONDS = 10 * 60;
+
+class OAuthService {
+  getStateKey(state) {
+    return `oauth:state:${state}`;
+  }
+
+  // Store a random, single-use state with what the callback needs later
+  async createState(provider, data) {
+    const state = crypto.randomBytes(32).toString("base64url");
+
+    await redis.setex(
+      this.getStateKey(state),
+      STATE_TTL_SECONDS,
+      JSON.stringify({ ...data, provider })
+    );
+
+    return { state, expiresIn: STATE_TTL_SECONDS };
+  }
+
+  // PKCE verifier and its S256 challenge
+  createPkce() {
+    const codeVerifier = crypto.randomBytes(48).toString("base64url");
+    const codeChallenge = crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url");
+
+    return { codeVerifier, codeChallenge };
+  }
+
+  /**
+   * Start a GitHub login: store a random state (and PKCE verifier) and
+   * return the authorize URL to send the user to. The state is single-use
+   * and only valid for a few minutes.
+   */
+  async createAuthorization(githubHost, callbackUrl) {
+    const pkce = githubHost.oauthPkce ? this.createPkce() : null;
+
+    const { state, expiresIn } = await this.createState("github", {
+      host: githubHost.host,
+      callbackUrl,
+      codeVerifier: pkce?.codeVerifier || null,
+    });
+
+    const params = new URLSearchParams({
+      client_id: githubHost.clientId,
+      redirect_uri: callbackUrl,
+      scope: githubHost.oauthScopes.join(" "),
+      state,
+    });
+
+    if (pkce) {
+      params.set("code_challenge", pkce.codeChallenge);
+      params.set("code_challenge_method", "S256");
+    }
+
+    return {
+      state,
+      expiresIn,
+      authorizeUrl: `${githubHost.oauthAuthorizeUrl}?${params}`,
+    };
+  }
+
+  // Validate and use up a state created for `provider`; returns what was
+  // stored with it
+  async consumeState(state, provider) {
+    const stored = await redis.getdel(this.getStateKey(state));
+    const data = stored ? JSON.parse(stored) : null;
+
+    if (!data || data.provider !== provider) {
+      throw new AuthenticationError(
+        "Invalid or expired OAuth state, please sign in again"
+      );
+    }
+
+    return data;
+  }
+}
+
+module.exports = new OAuthService();
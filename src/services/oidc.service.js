@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const oauthService = require("./oauth.service");
+const { AuthenticationError, NotFoundError } = require("../utils/errors");
+
+// Discovery documents and signing keys change rarely
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// Signature algorithms accepted on ID tokens (never "none" or HMAC)
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+/**
+ * Generic OpenID Connect login for a single SSO provider, configured with
+ * OIDC_DISCOVERY_URL, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET.
+ */
+class OidcService {
+  constructor() {
+    this.discoveryUrl = process.env.OIDC_DISCOVERY_URL;
+    this.clientId = process.env.OIDC_CLIENT_ID;
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET;
+    this.scopes = process.env.OIDC_SCOPES || "openid email profile";
+    this.callbackUrl = process.env.OIDC_CALLBACK_URL;
+    this.name = process.env.OIDC_PROVIDER_NAME || "SSO";
+
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.discoveryUrl && this.clientId && this.clientSecret);
+  }
+
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new NotFoundError("OpenID Connect login is not configured");
+    }
+  }
+
+  async getMetadata() {
+    if (this.metadata && this.metadata.fetchedAt > Date.now() - METADATA_TTL_MS) {
+      return this.metadata.document;
+    }
+
+    const { data } = await axios.get(this.discoveryUrl, { timeout: 10000 });
+    this.metadata = { document: data, fetchedAt: Date.now() };
+
+    return data;
+  }
+
+  // Public key for an ID token's `kid`, refetching the key set once when
+  // the provider has rotated its keys
+  async getSigningKey(kid) {
+    // Tokens without a `kid` are signed with the provider's only signing key
+    const findKey = () =>
+      this.keys?.list.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+    if (!findKey() || this.keys.fetchedAt < Date.now() - METADATA_TTL_MS) {
+      const { jwks_uri: jwksUri } = await this.getMetadata();
+      const { data } = await axios.get(jwksUri, { timeout: 10000 });
+      this.keys = { list: data.keys || [], fetchedAt: Date.now() };
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+      throw new AuthenticationError("Unknown ID token signing key");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  // Start a login: returns the provider's authorize URL with a state,
+  // nonce and PKCE challenge
+  async createAuthorization(callbackUrl) {
+    this.assertConfigured();
+
+    const metadata = await this.getMetadata();
+    const { codeVerifier, codeChallenge } = oauthService.createPkce();
+    const nonce = crypto.randomBytes(24).toString("base64url");
+
+    const { state, expiresIn } = await oauthService.createState("oidc", {
+      callbackUrl,
+      codeVerifier,
+      nonce,
+    });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: callbackUrl,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    });
+
+    return {
+      state,
+      expiresIn,
+      authorizeUrl: `${metadata.authorization_endpoint}?${params}`,
+    };
+  }
+
+  // Exchange an authorization code and return the verified ID token claims
+  async exchangeCode(code, { callbackUrl, codeVerifier, nonce }) {
+    this.assertConfigured();
+
+    const metadata = await this.getMetadata();
+
+    let tokens;
+    try {
+      const response = await axios.post(
+        metadata.token_endpoint,
+        new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: callbackUrl,
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          code_verifier: codeVerifier,
+        }),
+        { headers: { Accept: "application/json" }, timeout: 10000 }
+      );
+      tokens = response.data;
+    } catch (error) {
+      console.error("OIDC token error:", error.response?.data || error.message);
+      throw new AuthenticationError("Invalid authorization code");
+    }
+
+    if (!tokens.id_token) {
+      throw new AuthenticationError("The identity provider returned no ID token");
+    }
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) {
+      throw new AuthenticationError("Invalid ID token");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(
+        tokens.id_token,
+        await this.getSigningKey(decoded.header.kid),
+        {
+          algorithms: ID_TOKEN_ALGORITHMS,
+          issuer: metadata.issuer,
+          audience: this.clientId,
+        }
+      );
+    } catch (error) {
+      if (error instanceof AuthenticationError) throw error;
+      throw new AuthenticationError(`Invalid ID token: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new AuthenticationError("ID token nonce does not match");
+    }
+
+    return { ...claims, issuer: metadata.issuer };
+  }
+}
+
+module.exports = new OidcService();
@@ -12,6 +12,8 @@ class OpenAIService {
     this.model = 'gpt-4o'; // Latest GPT-4 model
     this.maxTokens = 4000;
     this.temperature = 0.1; // Low temperature for consistent, focused responses
+    this.maxPromptFiles = 10; // Files included in the prompt
+    this.maxContextLength = 4000; // Characters of surrounding code per file
   }
 
   async analyzeCode(prData) {
@@ -135,10 +137,10 @@ Be constructive and specific. Provide actionable suggestions, not just criticism
 
     // Add each file's changes
     files.forEach((file, index) => {
-      if (index >= 10) return; // Limit to first 10 files to avoid token limits
+      if (index >= this.maxPromptFiles) return; // Limit files to avoid token limits
       
       prompt += `### File: ${file.filename}
-**Status**: ${file.status}
+**Status**: ${file.status}${file.previous_filename ? ` (renamed from ${file.previous_filename})` : ''}
 **Changes**: +${file.additions} -${file.deletions}
 
 `;
@@ -155,6 +157,16 @@ Be constructive and specific. Provide actionable suggestions, not just criticism
 ${truncatedPatch}
 \`\`\`
 
+`;
+      }
+
+      // Add the surrounding code from the head commit
+      if (file.context?.length) {
+        prompt += `**Surrounding Code** (head commit, with new-file line numbers):
+\`\`\`
+${this.formatContext(file.context)}
+\`\`\`
+
 `;
       }
     });
@@ -264,6 +276,19 @@ Remember to respond with valid JSON only.`;
     };
   }
 
+  // Render context windows with line numbers, truncated to the context budget
+  formatContext(windows) {
+    const formatted = windows
+      .map(window => window.lines
+        .map((line, i) => `${String(window.startLine + i).padStart(5)} | ${line}`)
+        .join('\n'))
+      .join('\n  ...\n');
+
+    return formatted.length > this.maxContextLength
+      ? formatted.substring(0, this.maxContextLength) + '\n... (truncated)'
+      : formatted;
+  }
+
   generateContentHash(prData) {
     // Create a hash based on PR content for caching
     const content = JSON.stringify({
@@ -272,7 +297,8 @@ Remember to respond with valid JSON only.`;
       files: prData.files.map(f => ({
         filename: f.filename,
         status: f.status,
-        patch: f.patch
+        patch: f.patch,
+        context: f.context
       }))
     });
     
@@ -308,6 +334,7 @@ Remember to respond with valid JSON only.`;
     // Truncate patches
     const truncatedFiles = limitedFiles.map(file => ({
       ...file,
+      context: undefined,
       patch: file.patch ? 
         (file.patch.length > 1500 ? 
           file.patch.substring(0, 1500) + '\n... (truncated)' : 
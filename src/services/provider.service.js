@@ -0,0 +1,108 @@
+const { ValidationError } = require("../utils/errors");
+
+const PROVIDERS = {
+  GITHUB: "GITHUB",
+  GITLAB: "GITLAB",
+};
+
+/**
+ * Source-control provider interface. Implementations translate their API
+ * into the shapes the rest of the app consumes (GitHub's field names):
+ *
+ * - getPRDiff(repoFullName, number, userId, headSha?) → { pr, files, skipped_files }
+ * - getPRInfo(repoFullName, number, userId)      → { number, title, state, head, base }
+ * - verifyRepoAccess(repoFullName, userId)       → { hasAccess, repo?, error? }
+ * - getPullRequests(repoFullName, userId, state, page, perPage) → [pr]
+ * - getUserRepositories(userId, page, perPage)   → [repo]
+ * - getFileContent(repoFullName, path, ref, userId, blobSha?) → string | null
+ * - getChangedFiles(repoFullName, baseSha, headSha, userId) → { status, files } | null
+ * - getCompareDiff(repoFullName, baseSha, headSha, userId) → { pr, files, skipped_files }
+ * - resolveCommit(repoFullName, ref, userId)     → sha | null
+ * - getRateLimitWait(repoFullName, userId)       → { reason, resumeAt } | null
+ *
+ * Calls rejected by a rate limit throw a RateLimitError with `resumeAt`.
+ */
+class SourceControlProvider {
+  async getPRDiff() {
+    throw new Error(`${this.constructor.name} does not implement getPRDiff`);
+  }
+
+  async getPRInfo() {
+    throw new Error(`${this.constructor.name} does not implement getPRInfo`);
+  }
+
+  async verifyRepoAccess() {
+    throw new Error(
+      `${this.constructor.name} does not implement verifyRepoAccess`
+    );
+  }
+
+  async getPullRequests() {
+    throw new Error(
+      `${this.constructor.name} does not implement getPullRequests`
+    );
+  }
+
+  async getUserRepositories() {
+    throw new Error(
+      `${this.constructor.name} does not implement getUserRepositories`
+    );
+  }
+
+  async getFileContent() {
+    throw new Error(
+      `${this.constructor.name} does not implement getFileContent`
+    );
+  }
+
+  async getChangedFiles() {
+    throw new Error(
+      `${this.constructor.name} does not implement getChangedFiles`
+    );
+  }
+
+  async getCompareDiff() {
+    throw new Error(
+      `${this.constructor.name} does not implement getCompareDiff`
+    );
+  }
+
+  async resolveCommit() {
+    throw new Error(
+      `${this.constructor.name} does not implement resolveCommit`
+    );
+  }
+
+  // Providers without rate limit tracking never ask work to wait
+  async getRateLimitWait() {
+    return null;
+  }
+}
+
+/**
+ * Get the provider implementation for a provider name or a Repository row.
+ * GitHub repositories are served by the instance for their host.
+ */
+const getProvider = (providerOrRepository = PROVIDERS.GITHUB) => {
+  const repository =
+    typeof providerOrRepository === "string"
+      ? { provider: providerOrRepository }
+      : providerOrRepository;
+  const name = (repository.provider || PROVIDERS.GITHUB).toUpperCase();
+
+  // Required lazily: the implementations extend SourceControlProvider
+  switch (name) {
+    case PROVIDERS.GITHUB:
+      return require("./github.service").forHost(repository.host);
+    case PROVIDERS.GITLAB:
+      return require("./gitlab.service");
+    default:
+      throw new ValidationError(`Unsupported provider: ${name}`);
+  }
+};
+
+module.exports = {
+  PROVIDERS,
+  SourceControlProvider,
+  getProvider,
+};
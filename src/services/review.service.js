@@ -0,0 +1,291 @@
+const prisma = require("../config/database");
+const githubService = require("./github.service");
+const analysisService = require("./analysis.service");
+const { PROVIDERS } = require("./provider.service");
+const { getCommentableLines } = require("../utils/diff");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+const SEVERITY_LABELS = {
+  HIGH: "🔴 High",
+  MEDIUM: "🟡 Medium",
+  LOW: "🟢 Low",
+};
+
+class ReviewService {
+  // Publish an analysis' suggestions as a single pull request review
+  async publishAnalysis(analysisId) {
+    const analysis = await prisma.analysis.findUnique({
+      where: { id: analysisId },
+      include: {
+        repository: true,
+        suggestions: {
+          orderBy: [{ filePath: "asc" }, { lineNumber: "asc" }],
+        },
+      },
+    });
+
+    if (!analysis) {
+      throw new NotFoundError("Analysis not found");
+    }
+
+    if (analysis.status !== "COMPLETED") {
+      throw new ValidationError("Only completed analyses can be published");
+    }
+
+    if (analysis.type !== "PULL_REQUEST") {
+      throw new ValidationError(
+        "Only pull request analyses can be published as a review"
+      );
+    }
+
+    if (analysis.repository.provider !== PROVIDERS.GITHUB) {
+      throw new ValidationError(
+        "Publishing reviews is only supported for GitHub repositories"
+      );
+    }
+
+    const { repository } = analysis;
+    const github = githubService.forHost(repository.host);
+    const prData = await github.getPRDiff(
+      repository.fullName,
+      analysis.prNumber,
+      analysis.userId,
+      analysis.commitSha
+    );
+
+    // 1. Split suggestions into inline comments and ones outside the diff.
+    // After a newer push the current diff can't anchor this commit's lines,
+    // so every suggestion goes into the summary.
+    const sameCommit = prData.pr.head.sha === analysis.commitSha;
+    const commentableLines = new Map(
+      sameCommit
+        ? prData.files.map((file) => [
+            file.filename,
+            getCommentableLines(file.patch),
+          ])
+        : []
+    );
+
+    const suggestions = analysis.suggestions.filter(
+      (s) => s.filePath !== "analysis-error"
+    );
+    const inline = suggestions.filter((s) =>
+      commentableLines.get(s.filePath)?.has(s.lineNumber)
+    );
+    const outsideDiff = suggestions.filter((s) => !inline.includes(s));
+
+    // 2. Update comments that were already published
+    const toCreate = [];
+    let updated = 0;
+
+    for (const suggestion of inline) {
+      if (!suggestion.githubCommentId) {
+        toCreate.push(suggestion);
+        continue;
+      }
+
+      const comment = await github.updateReviewComment(
+        repository.fullName,
+        suggestion.githubCommentId,
+        analysis.userId,
+        this.formatComment(suggestion)
+      );
+
+      if (comment) {
+        updated++;
+      } else {
+        // Comment was deleted on GitHub, publish it again
+        toCreate.push(suggestion);
+      }
+    }
+
+    // 3. Publish the summary and any new comments. A review that was already
+    // published keeps its summary, updated in place, and only gets the new
+    // comments added, so the pull request doesn't collect duplicate reviews
+    const previousAnalysis = await analysisService.getPreviousAnalysis(
+      analysis
+    );
+    const body = this.buildReviewBody(
+      analysis,
+      outsideDiff,
+      previousAnalysis?.suggestions
+    );
+    let reviewId = analysis.githubReviewId;
+
+    const reviewUpdated = reviewId
+      ? await github.updateReviewBody(
+          repository.fullName,
+          analysis.prNumber,
+          reviewId,
+          analysis.userId,
+          body
+        )
+      : null;
+
+    if (reviewUpdated) {
+      await this.createComments(analysis, toCreate);
+    } else {
+      const review = await github.createPullRequestReview(
+        repository.fullName,
+        analysis.prNumber,
+        analysis.userId,
+        {
+          commitId: analysis.commitSha,
+          body,
+          comments: toCreate.map((suggestion) => ({
+            path: suggestion.filePath,
+            line: suggestion.lineNumber,
+            body: this.formatComment(suggestion),
+          })),
+        }
+      );
+
+      reviewId = review.id.toString();
+      await this.recordCommentIds(analysis, reviewId, toCreate);
+    }
+
+    await prisma.analysis.update({
+      where: { id: analysisId },
+      data: {
+        githubReviewId: reviewId,
+        publishedAt: new Date(),
+      },
+    });
+
+    console.log(
+      `Published analysis ${analysisId} to ${repository.fullName} PR #${analysis.prNumber}`
+    );
+
+    return {
+      reviewId,
+      created: toCreate.length,
+      updated,
+      outsideDiff: outsideDiff.length,
+    };
+  }
+
+  // Add new inline comments to a pull request whose review already exists
+  async createComments(analysis, suggestions) {
+    const github = githubService.forHost(analysis.repository.host);
+
+    for (const suggestion of suggestions) {
+      const comment = await github.createReviewComment(
+        analysis.repository.fullName,
+        analysis.prNumber,
+        analysis.userId,
+        {
+          commitId: analysis.commitSha,
+          path: suggestion.filePath,
+          line: suggestion.lineNumber,
+          body: this.formatComment(suggestion),
+        }
+      );
+
+      await prisma.suggestion.update({
+        where: { id: suggestion.id },
+        data: {
+          githubCommentId: comment.id.toString(),
+          publishedAt: new Date(),
+        },
+      });
+    }
+  }
+
+  // Store GitHub comment ids on the suggestions they were created from
+  async recordCommentIds(analysis, reviewId, suggestions) {
+    if (suggestions.length === 0) return;
+
+    const github = githubService.forHost(analysis.repository.host);
+    const comments = await github.getReviewComments(
+      analysis.repository.fullName,
+      analysis.prNumber,
+      reviewId,
+      analysis.userId
+    );
+
+    const remaining = [...comments];
+    const publishedAt = new Date();
+
+    for (const suggestion of suggestions) {
+      const body = this.formatComment(suggestion);
+      const sameLocation = (c) =>
+        c.path === suggestion.filePath && c.line === suggestion.lineNumber;
+
+      // Prefer an exact body match when several comments share a line
+      let index = remaining.findIndex(
+        (c) => sameLocation(c) && c.body === body
+      );
+      if (index === -1) {
+        index = remaining.findIndex(sameLocation);
+      }
+      if (index === -1) continue;
+
+      const [comment] = remaining.splice(index, 1);
+
+      await prisma.suggestion.update({
+        where: { id: suggestion.id },
+        data: {
+          githubCommentId: comment.id.toString(),
+          publishedAt,
+        },
+      });
+    }
+  }
+
+  // Helper: Format a suggestion as an inline review comment
+  formatComment(suggestion) {
+    let body = `**${SEVERITY_LABELS[suggestion.severity]} · ${
+      suggestion.category
+    }**: ${suggestion.message}\n\n${suggestion.suggestion}`;
+
+    if (suggestion.codeSnippet) {
+      body += `\n\n\`\`\`\n${suggestion.codeSnippet}\n\`\`\``;
+    }
+
+    return body;
+  }
+
+  // Helper: Build the review summary body
+  buildReviewBody(analysis, outsideDiff, previousSuggestions = null) {
+    const summary = analysisService.generateAnalysisSummary(
+      analysis.suggestions.filter((s) => s.filePath !== "analysis-error"),
+      previousSuggestions
+    );
+    const { high, medium, low } = summary.severityBreakdown;
+
+    const lines = [
+      "## AI Code Review",
+      "",
+      `Found **${summary.totalSuggestions}** suggestion(s): ${SEVERITY_LABELS.HIGH}: ${high} · ${SEVERITY_LABELS.MEDIUM}: ${medium} · ${SEVERITY_LABELS.LOW}: ${low}`,
+    ];
+
+    if (summary.changes) {
+      const { new: added, resolved, persisting } = summary.changes;
+      lines.push(
+        "",
+        `Since the previous review: ${added} new · ${resolved} resolved · ${persisting} still present`
+      );
+    }
+
+    const categories = Object.entries(summary.categoryBreakdown);
+    if (categories.length > 0) {
+      lines.push("", "| Category | Suggestions |", "| --- | --- |");
+      categories.forEach(([category, count]) => {
+        lines.push(`| ${category} | ${count} |`);
+      });
+    }
+
+    if (outsideDiff.length > 0) {
+      lines.push("", "### Findings outside the diff", "");
+      outsideDiff.forEach((s) => {
+        lines.push(
+          `- \`${s.filePath}:${s.lineNumber}\` **${s.severity}** ${s.message}`
+        );
+      });
+    }
+
+    return lines.join("\n");
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,352 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/database");
+const redis = require("../config/redis");
+const {
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const { encrypt, decrypt, needsReEncryption } = require("../utils/encryption");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Record requests on a session at most this often
+const LAST_USED_INTERVAL_SECONDS = 60;
+
+// Access token lifetime in seconds, however JWT_EXPIRES_IN is written
+const ACCESS_TOKEN_LIFETIME_SECONDS = (() => {
+  const { iat, exp } = jwt.decode(
+    jwt.sign({}, "lifetime", { expiresIn: ACCESS_TOKEN_EXPIRES_IN })
+  );
+  return exp - iat;
+})();
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        githubId: user.githubId,
+        githubHost: user.githubHost,
+        username: user.username,
+        sid: sessionId,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  // Mark the session active in Redis until it expires; the auth middleware
+  // rejects access tokens of sessions without this key
+  async cacheSession(session) {
+    const ttl = Math.floor((session.expiresAt.getTime() - Date.now()) / 1000);
+    if (ttl <= 0) return;
+
+    await redis.setex(
+      `session:${session.id}`,
+      ttl,
+      JSON.stringify({ userId: session.userId, expiresAt: session.expiresAt })
+    );
+  }
+
+  async issueTokens(user, session) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+    await prisma.refreshToken.create({
+      data: {
+        sessionId: session.id,
+        tokenHash: this.hashToken(refreshToken),
+        expiresAt: session.expiresAt,
+      },
+    });
+
+    return {
+      token: this.signAccessToken(user, session.id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionId: session.id,
+    };
+  }
+
+  // Start a session for one device after a login. Logins without GitHub
+  // (password, SSO) have no GitHub token
+  async createSession(
+    user,
+    { githubToken = null, githubHost = null, userAgent, ipAddress }
+  ) {
+    const session = await prisma.session.create({
+      data: {
+        userId: user.id,
+        githubHost,
+        githubToken,
+        userAgent: userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress,
+        expiresAt: this.getRefreshExpiry(),
+      },
+    });
+
+    await this.cacheSession(session);
+
+    return this.issueTokens(user, session);
+  }
+
+  // Exchange a refresh token for new tokens. Each refresh token works once;
+  // presenting a used one means it leaked, so the whole session is revoked
+  async rotate(refreshToken, { userAgent, ipAddress }) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hashToken(refreshToken) },
+      include: { session: { include: { user: true } } },
+    });
+
+    if (!stored) {
+      throw new AuthenticationError("Invalid refresh token");
+    }
+
+    const { session } = stored;
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      throw new AuthenticationError("Session expired");
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new AuthenticationError("Refresh token expired");
+    }
+
+    // Claim the token atomically so concurrent refreshes can't both succeed
+    const claimed = await prisma.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (claimed.count === 0) {
+      await this.revokeSession(session.id, "refresh_token_reuse");
+      console.warn(
+        `Refresh token reuse detected for session ${session.id}, session revoked`
+      );
+      throw new AuthenticationError(
+        "Refresh token was already used; the session has been revoked"
+      );
+    }
+
+    const updated = await prisma.session.update({
+      where: { id: session.id },
+      data: {
+        lastUsedAt: new Date(),
+        expiresAt: this.getRefreshExpiry(),
+        ...(userAgent && { userAgent: userAgent.slice(0, 500) }),
+        ...(ipAddress && { ipAddress }),
+      },
+    });
+
+    await this.cacheSession(updated);
+
+    return {
+      ...(await this.issueTokens(session.user, updated)),
+      user: session.user,
+    };
+  }
+
+  getDenylistKey(jti) {
+    return `jwt:denylist:${jti}`;
+  }
+
+  /**
+   * Reject an access token by its `jti` until it expires. `expiresAt` is the
+   * token's `exp` in seconds; without it the token is denied for the longest
+   * time an access token can live.
+   */
+  async revokeAccessToken(jti, expiresAt = null) {
+    const ttl = expiresAt
+      ? expiresAt - Math.floor(Date.now() / 1000)
+      : ACCESS_TOKEN_LIFETIME_SECONDS;
+
+    // Expired tokens are rejected anyway
+    if (ttl <= 0) return;
+
+    await redis.setex(this.getDenylistKey(jti), ttl, "1");
+  }
+
+  async isAccessTokenRevoked(jti) {
+    return Boolean(await redis.exists(this.getDenylistKey(jti)));
+  }
+
+  // Check an access token's signature (it may have expired) and return its
+  // claims, for revoking it
+  verifyAccessToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        ignoreExpiration: true,
+      });
+
+      if (!decoded.jti) {
+        throw new ValidationError("Token has no id and can't be revoked");
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new ValidationError("Invalid access token");
+    }
+  }
+
+  // Whether an access token's session is still active, recording its use
+  async touchSession(sessionId) {
+    const active = await redis.get(`session:${sessionId}`);
+    if (!active) return false;
+
+    const fresh = await redis.set(
+      `session:${sessionId}:seen`,
+      "1",
+      "EX",
+      LAST_USED_INTERVAL_SECONDS,
+      "NX"
+    );
+
+    if (fresh) {
+      await prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { lastUsedAt: new Date() },
+      });
+    }
+
+    return true;
+  }
+
+  // Give a session the GitHub token of an account linked while signed in
+  async attachGithubToken(sessionId, { githubHost, githubToken }) {
+    await prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { githubHost, githubToken },
+    });
+  }
+
+  async getSessions(userId) {
+    return prisma.session.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: "desc" },
+      select: {
+        id: true,
+        githubHost: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+    });
+  }
+
+  async revokeSession(sessionId, reason = "logout") {
+    await prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason, githubToken: null },
+    });
+
+    await redis.del(`session:${sessionId}`);
+  }
+
+  async revokeUserSession(userId, sessionId) {
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId, revokedAt: null },
+      select: { id: true },
+    });
+
+    if (!session) {
+      throw new NotFoundError("Session not found");
+    }
+
+    await this.revokeSession(session.id);
+  }
+
+  // Sign out every device of a user; returns how many sessions were revoked
+  async revokeAllSessions(userId, reason = "logout_all") {
+    const sessions = await prisma.session.findMany({
+      where: { userId, revokedAt: null },
+      select: { id: true },
+    });
+
+    for (const session of sessions) {
+      await this.revokeSession(session.id, reason);
+    }
+
+    return sessions.length;
+  }
+
+  // Encrypted GitHub token of the user's most recently used session on a
+  // host. Provider calls only know the user, and any of their sessions acts
+  // as them
+  async getGithubToken(userId, githubHost) {
+    const session = await prisma.session.findFirst({
+      where: {
+        userId,
+        githubHost,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+        githubToken: { not: null },
+      },
+      orderBy: { lastUsedAt: "desc" },
+      select: { githubToken: true },
+    });
+
+    return session?.githubToken || null;
+  }
+
+  /**
+   * Re-encrypt stored GitHub tokens with the current encryption key, e.g.
+   * after adding a new key to TOKEN_ENCRYPTION_KEYS. Plaintext tokens from
+   * before encryption was enabled are encrypted too. Sessions stay valid, so
+   * nobody is logged out.
+   */
+  async reEncryptGithubTokens({ batchSize = 100 } = {}) {
+    const result = { scanned: 0, reEncrypted: 0, failed: 0 };
+    let cursor = null;
+
+    for (;;) {
+      const sessions = await prisma.session.findMany({
+        where: { githubToken: { not: null } },
+        orderBy: { id: "asc" },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        select: { id: true, githubToken: true },
+      });
+
+      if (sessions.length === 0) break;
+      cursor = sessions[sessions.length - 1].id;
+
+      for (const session of sessions) {
+        result.scanned++;
+        if (!needsReEncryption(session.githubToken)) continue;
+
+        try {
+          // Only replace the value we read, so a concurrent logout wins
+          const updated = await prisma.session.updateMany({
+            where: { id: session.id, githubToken: session.githubToken },
+            data: { githubToken: encrypt(decrypt(session.githubToken)) },
+          });
+          result.reEncrypted += updated.count;
+        } catch (error) {
+          result.failed++;
+          console.error(
+            `Failed to re-encrypt GitHub token of session ${session.id}:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,183 @@
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/database");
+const analysisService = require("./analysis.service");
+const { NotFoundError } = require("../utils/errors");
+
+const SHARE_TOKEN_AUDIENCE = "analysis-share";
+const DEFAULT_SHARE_HOURS = 7 * 24;
+
+// Accesses listed with each share (all of them are kept)
+const RECENT_ACCESSES = 10;
+
+class ShareService {
+  // Share tokens are signed separately from session tokens when configured
+  getSecret() {
+    return process.env.SHARE_TOKEN_SECRET || process.env.JWT_SECRET;
+  }
+
+  signToken(share) {
+    return jwt.sign({ sid: share.id }, this.getSecret(), {
+      subject: share.analysisId,
+      audience: SHARE_TOKEN_AUDIENCE,
+      expiresIn: Math.max(
+        1,
+        Math.floor((share.expiresAt.getTime() - Date.now()) / 1000)
+      ),
+    });
+  }
+
+  // Links point at the frontend when it's configured, the API otherwise
+  getShareUrl(token) {
+    return process.env.FRONTEND_URL
+      ? `${process.env.FRONTEND_URL}/shared/${token}`
+      : `/api/shared/analyses/${token}`;
+  }
+
+  // Mint a share link for an analysis. The token is only returned here
+  async createShare(analysisId, userId, expiresInHours = DEFAULT_SHARE_HOURS) {
+    const share = await prisma.analysisShare.create({
+      data: {
+        analysisId,
+        createdById: userId,
+        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      },
+    });
+
+    const token = this.signToken(share);
+
+    return {
+      ...this.formatShare(share),
+      token,
+      url: this.getShareUrl(token),
+    };
+  }
+
+  async getShares(analysisId) {
+    const shares = await prisma.analysisShare.findMany({
+      where: { analysisId },
+      orderBy: { createdAt: "desc" },
+      include: {
+        createdBy: { select: { id: true, username: true } },
+        accesses: {
+          orderBy: { accessedAt: "desc" },
+          take: RECENT_ACCESSES,
+        },
+      },
+    });
+
+    return shares.map((share) => ({
+      ...this.formatShare(share),
+      createdBy: share.createdBy,
+      recentAccesses: share.accesses.map((access) => ({
+        ipAddress: access.ipAddress,
+        userAgent: access.userAgent,
+        accessedAt: access.accessedAt,
+      })),
+    }));
+  }
+
+  async revokeShare(analysisId, shareId) {
+    const share = await prisma.analysisShare.findFirst({
+      where: { id: shareId, analysisId },
+    });
+
+    if (!share) {
+      throw new NotFoundError("Share not found");
+    }
+
+    const revoked = share.revokedAt
+      ? share
+      : await prisma.analysisShare.update({
+          where: { id: share.id },
+          data: { revokedAt: new Date() },
+        });
+
+    return this.formatShare(revoked);
+  }
+
+  // Resolve a share token to the analysis payload, without details of the
+  // user who ran it, and log the access
+  async getSharedAnalysis(token, { ipAddress = null, userAgent = null } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.getSecret(), {
+        audience: SHARE_TOKEN_AUDIENCE,
+      });
+    } catch (error) {
+      throw new NotFoundError("Share link is invalid or has expired");
+    }
+
+    const share = await prisma.analysisShare.findUnique({
+      where: { id: decoded.sid },
+    });
+
+    if (
+      !share ||
+      share.analysisId !== decoded.sub ||
+      share.revokedAt ||
+      share.expiresAt <= new Date()
+    ) {
+      throw new NotFoundError("Share link is invalid or has expired");
+    }
+
+    await this.recordAccess(share, { ipAddress, userAgent });
+
+    const analysis = await analysisService.loadAnalysisWithSuggestions(
+      share.analysisId
+    );
+    const { userId, user, ...sharedAnalysis } = analysis;
+
+    return {
+      ...sharedAnalysis,
+      share: { id: share.id, expiresAt: share.expiresAt },
+    };
+  }
+
+  async recordAccess(share, { ipAddress, userAgent }) {
+    const accessedAt = new Date();
+
+    await prisma.$transaction([
+      prisma.analysisShareAccess.create({
+        data: {
+          shareId: share.id,
+          ipAddress,
+          userAgent: userAgent ? userAgent.slice(0, 500) : null,
+          accessedAt,
+        },
+      }),
+      prisma.analysisShare.update({
+        where: { id: share.id },
+        data: {
+          accessCount: { increment: 1 },
+          lastAccessedAt: accessedAt,
+        },
+      }),
+    ]);
+
+    console.log(
+      "[SHARE_ACCESS]",
+      JSON.stringify({
+        shareId: share.id,
+        analysisId: share.analysisId,
+        ipAddress,
+        userAgent,
+        timestamp: accessedAt.toISOString(),
+      })
+    );
+  }
+
+  formatShare(share) {
+    return {
+      id: share.id,
+      analysisId: share.analysisId,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt,
+      active: !share.revokedAt && share.expiresAt > new Date(),
+      accessCount: share.accessCount,
+      lastAccessedAt: share.lastAccessedAt,
+      createdAt: share.createdAt,
+    };
+  }
+}
+
+module.exports = new ShareService();
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const prisma = require("../config/database");
+const {
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const { DEFAULT_HOST } = require("../config/github");
+
+// Personal access tokens look like `crp_<43 base64url characters>`
+const TOKEN_PREFIX = "crp_";
+
+const MAX_TOKENS_PER_USER = 50;
+
+// Record use at most this often, so busy CI jobs don't write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+class TokenService {
+  isPersonalAccessToken(token) {
+    return token.startsWith(TOKEN_PREFIX);
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  // Create a token for a user. The plain token is only returned here; only
+  // its hash is stored
+  async createToken(userId, { name, scopes, expiresInDays = null }) {
+    const count = await prisma.personalAccessToken.count({
+      where: { userId, revokedAt: null },
+    });
+
+    if (count >= MAX_TOKENS_PER_USER) {
+      throw new ValidationError(
+        `You can have at most ${MAX_TOKENS_PER_USER} active tokens; revoke one first`
+      );
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const accessToken = await prisma.personalAccessToken.create({
+      data: {
+        userId,
+        name,
+        tokenHash: this.hashToken(token),
+        tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : null,
+      },
+    });
+
+    return { ...this.formatToken(accessToken), token };
+  }
+
+  async getTokens(userId) {
+    const tokens = await prisma.personalAccessToken.findMany({
+      where: { userId, revokedAt: null },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return tokens.map((token) => this.formatToken(token));
+  }
+
+  async revokeToken(userId, tokenId) {
+    const token = await prisma.personalAccessToken.findFirst({
+      where: { id: tokenId, userId, revokedAt: null },
+    });
+
+    if (!token) {
+      throw new NotFoundError("Token not found");
+    }
+
+    await prisma.personalAccessToken.update({
+      where: { id: token.id },
+      data: { revokedAt: new Date() },
+    });
+  }
+
+  // Resolve a personal access token to the request user, recording its use
+  async authenticate(token, ipAddress = null) {
+    const accessToken = await prisma.personalAccessToken.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: {
+        user: {
+          select: {
+            id: true,
+            githubId: true,
+            githubHost: true,
+            username: true,
+          },
+        },
+      },
+    });
+
+    if (!accessToken || accessToken.revokedAt) {
+      throw new AuthenticationError("Invalid personal access token");
+    }
+
+    if (accessToken.expiresAt && accessToken.expiresAt <= new Date()) {
+      throw new AuthenticationError("Personal access token expired");
+    }
+
+    const lastUsed = accessToken.lastUsedAt?.getTime() || 0;
+    if (
+      Date.now() - lastUsed > LAST_USED_INTERVAL_MS ||
+      accessToken.lastUsedIp !== ipAddress
+    ) {
+      await prisma.personalAccessToken.update({
+        where: { id: accessToken.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      });
+    }
+
+    const { user } = accessToken;
+
+    return {
+      userId: user.id,
+      githubId: user.githubId,
+      githubHost: user.githubHost || DEFAULT_HOST,
+      username: user.username,
+      tokenId: accessToken.id,
+      scopes: accessToken.scopes,
+    };
+  }
+
+  formatToken(token) {
+    return {
+      id: token.id,
+      name: token.name,
+      tokenPrefix: token.tokenPrefix,
+      scopes: token.scopes,
+      expiresAt: token.expiresAt,
+      lastUsedAt: token.lastUsedAt,
+      lastUsedIp: token.lastUsedIp,
+      createdAt: token.createdAt,
+    };
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,388 @@
+const prisma = require("../config/database");
+const analysisService = require("./analysis.service");
+const githubAppService = require("./github-app.service");
+const workspaceService = require("./workspace.service");
+const { DEFAULT_HOST } = require("../config/github");
+const { ValidationError } = require("../utils/errors");
+
+// Pull request actions that should trigger a new review
+const PULL_REQUEST_TRIGGER_ACTIONS = ["opened", "synchronize", "reopened"];
+
+class WebhookService {
+  // Record an incoming delivery, returning null for duplicates
+  async recordDelivery({ deliveryId, event, action }) {
+    try {
+      return await prisma.webhookDelivery.create({
+        data: {
+          deliveryId,
+          event,
+          action: action || null,
+        },
+      });
+    } catch (error) {
+      if (error.code !== "P2002") {
+        throw error;
+      }
+
+      // GitHub reuses the delivery id on manual redelivery, so only
+      // deliveries that previously failed are processed again
+      const existing = await prisma.webhookDelivery.findUnique({
+        where: { deliveryId },
+      });
+
+      if (!existing || existing.outcome !== "FAILED") {
+        return null;
+      }
+
+      return prisma.webhookDelivery.update({
+        where: { id: existing.id },
+        data: {
+          outcome: "RECEIVED",
+          error: null,
+          processedAt: null,
+        },
+      });
+    }
+  }
+
+  // Dispatch a GitHub event from a host and store its outcome on the delivery
+  async processDelivery(delivery, event, payload, host = DEFAULT_HOST) {
+    try {
+      let result;
+
+      switch (event) {
+        case "pull_request":
+          result = await this.handlePullRequestEvent(payload, host);
+          break;
+        case "check_run":
+          result = await this.handleCheckRunEvent(payload, host);
+          break;
+        case "installation":
+          result = await this.handleInstallationEvent(payload, host);
+          break;
+        case "installation_repositories":
+          result = await this.handleInstallationRepositoriesEvent(
+            payload,
+            host
+          );
+          break;
+        case "ping":
+          result = { outcome: "IGNORED", reason: "Ping received" };
+          break;
+        default:
+          result = {
+            outcome: "IGNORED",
+            reason: `Unsupported event: ${event}`,
+          };
+      }
+
+      await this.completeDelivery(delivery.id, result);
+      return result;
+    } catch (error) {
+      console.error(`Webhook delivery ${delivery.deliveryId} failed:`, error);
+
+      await this.completeDelivery(delivery.id, {
+        outcome: "FAILED",
+        error: error.message,
+      });
+
+      throw error;
+    }
+  }
+
+  // Enqueue an analysis for opened/synchronize/reopened pull requests
+  async handlePullRequestEvent(payload, host) {
+    const { action, pull_request: pullRequest, repository: repo } = payload;
+
+    if (!PULL_REQUEST_TRIGGER_ACTIONS.includes(action)) {
+      return { outcome: "IGNORED", reason: `Ignored action: ${action}` };
+    }
+
+    if (!pullRequest?.head?.sha || !repo) {
+      return { outcome: "IGNORED", reason: "Malformed pull_request payload" };
+    }
+
+    const repository = await prisma.repository.findUnique({
+      where: {
+        provider_host_fullName: {
+          provider: "GITHUB",
+          host,
+          fullName: repo.full_name,
+        },
+      },
+    });
+
+    if (!repository || !repository.isActive) {
+      return {
+        outcome: "IGNORED",
+        reason: `Repository ${repo.full_name} is not connected`,
+      };
+    }
+
+    // Link the repository to the app installation that sent the event
+    const installationId = payload.installation?.id?.toString();
+    if (installationId && repository.installationId !== installationId) {
+      await prisma.repository.update({
+        where: { id: repository.id },
+        data: { installationId },
+      });
+    }
+
+    const prNumber = pullRequest.number;
+    const headSha = pullRequest.head.sha;
+
+    // Each pushed head commit gets its own analysis
+    const existingAnalysis = await prisma.analysis.findUnique({
+      where: {
+        repositoryId_prNumber_commitSha: {
+          repositoryId: repository.id,
+          prNumber,
+          commitSha: headSha,
+        },
+      },
+    });
+
+    if (
+      existingAnalysis &&
+      existingAnalysis.status !== "FAILED" &&
+      existingAnalysis.status !== "SUPERSEDED"
+    ) {
+      return {
+        outcome: "IGNORED",
+        repositoryId: repository.id,
+        analysisId: existingAnalysis.id,
+        reason:
+          existingAnalysis.status === "COMPLETED"
+            ? "Head commit has already been analyzed"
+            : "Analysis is already in progress",
+      };
+    }
+
+    // Retry a failed or superseded analysis of this commit (the head can
+    // move back to it), otherwise start a new one
+    const analysis = existingAnalysis
+      ? await analysisService.rerunAnalysis(existingAnalysis.id)
+      : await analysisService.createAnalysis({
+          repositoryId: repository.id,
+          userId: repository.userId,
+          prNumber,
+          commitSha: headSha,
+        });
+
+    if (!existingAnalysis) {
+      analysisService.enqueueAnalysis(analysis.id);
+    }
+
+    console.log(
+      `Webhook queued analysis ${analysis.id} for ${repository.fullName} PR #${prNumber}`
+    );
+
+    return {
+      outcome: "PROCESSED",
+      repositoryId: repository.id,
+      analysisId: analysis.id,
+    };
+  }
+
+  // Rerun the analysis behind a check run when "Re-run" is clicked on GitHub
+  async handleCheckRunEvent(payload, host) {
+    const { action, check_run: checkRun, repository: repo } = payload;
+
+    if (action !== "rerequested") {
+      return { outcome: "IGNORED", reason: `Ignored action: ${action}` };
+    }
+
+    const analysisId = checkRun?.external_id;
+    const analysis = analysisId
+      ? await prisma.analysis.findUnique({
+          where: { id: analysisId },
+          include: { repository: true },
+        })
+      : null;
+
+    if (
+      !analysis ||
+      analysis.repository.host !== host ||
+      analysis.repository.fullName !== repo?.full_name
+    ) {
+      return {
+        outcome: "IGNORED",
+        reason: "Check run does not belong to a known analysis",
+      };
+    }
+
+    let rerun;
+    try {
+      rerun = await analysisService.rerunAnalysis(analysis.id);
+    } catch (error) {
+      // E.g. the pull request has moved on to another head commit
+      if (error instanceof ValidationError) {
+        return {
+          outcome: "IGNORED",
+          repositoryId: analysis.repositoryId,
+          analysisId: analysis.id,
+          reason: error.message,
+        };
+      }
+      throw error;
+    }
+
+    return {
+      outcome: "PROCESSED",
+      repositoryId: analysis.repositoryId,
+      analysisId: rerun.id,
+    };
+  }
+
+  // Link or unlink repositories when the GitHub App is installed or removed
+  async handleInstallationEvent(payload, host) {
+    const { action, installation, repositories = [] } = payload;
+    const installationId = installation.id.toString();
+    const appService = githubAppService.forHost(host);
+
+    if (action === "created") {
+      const linked = await this.linkInstallation(
+        host,
+        installationId,
+        repositories.map((r) => r.full_name)
+      );
+      return { outcome: "PROCESSED", reason: `Linked ${linked} repositories` };
+    }
+
+    if (action === "deleted" || action === "suspend") {
+      const linkedRepositories = await prisma.repository.findMany({
+        where: { provider: "GITHUB", host, installationId },
+        select: { fullName: true },
+      });
+
+      await prisma.repository.updateMany({
+        where: { provider: "GITHUB", host, installationId },
+        data: { installationId: null },
+      });
+      await appService.invalidateInstallationToken(installationId);
+      await appService.invalidateRepositoryInstallations(
+        linkedRepositories.map((r) => r.fullName)
+      );
+
+      return {
+        outcome: "PROCESSED",
+        reason: `Unlinked ${linkedRepositories.length} repositories`,
+      };
+    }
+
+    return { outcome: "IGNORED", reason: `Ignored action: ${action}` };
+  }
+
+  // Track repositories added to or removed from an existing installation
+  async handleInstallationRepositoriesEvent(payload, host) {
+    const {
+      installation,
+      repositories_added: added = [],
+      repositories_removed: removed = [],
+    } = payload;
+    const installationId = installation.id.toString();
+    const removedNames = removed.map((r) => r.full_name);
+
+    const linked = await this.linkInstallation(
+      host,
+      installationId,
+      added.map((r) => r.full_name)
+    );
+
+    const { count: unlinked } = await prisma.repository.updateMany({
+      where: {
+        provider: "GITHUB",
+        host,
+        installationId,
+        fullName: { in: removedNames },
+      },
+      data: { installationId: null },
+    });
+    await githubAppService
+      .forHost(host)
+      .invalidateRepositoryInstallations(removedNames);
+
+    return {
+      outcome: "PROCESSED",
+      reason: `Linked ${linked}, unlinked ${unlinked} repositories`,
+    };
+  }
+
+  // Helper: Point connected repositories at an installation
+  async linkInstallation(host, installationId, fullNames) {
+    if (fullNames.length === 0) return 0;
+
+    const { count } = await prisma.repository.updateMany({
+      where: { provider: "GITHUB", host, fullName: { in: fullNames } },
+      data: { installationId },
+    });
+    await githubAppService
+      .forHost(host)
+      .invalidateRepositoryInstallations(fullNames);
+
+    return count;
+  }
+
+  // Persist the result of processing a delivery
+  async completeDelivery(id, result) {
+    try {
+      await prisma.webhookDelivery.update({
+        where: { id },
+        data: {
+          outcome: result.outcome,
+          repositoryId: result.repositoryId || null,
+          analysisId: result.analysisId || null,
+          error: result.error || result.reason || null,
+          processedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error("Failed to update webhook delivery:", error);
+    }
+  }
+
+  // List deliveries for the repositories of a user's workspaces
+  async getDeliveries(userId, options = {}) {
+    const { page = 1, limit = 20, outcome = null, repositoryId = null } =
+      options;
+
+    const where = {
+      repository: workspaceService.repositoryAccessWhere(userId),
+      ...(outcome && { outcome }),
+      ...(repositoryId && { repositoryId }),
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        orderBy: { receivedAt: "desc" },
+        skip,
+        take: parseInt(limit),
+        include: {
+          repository: {
+            select: {
+              id: true,
+              name: true,
+              fullName: true,
+            },
+          },
+        },
+      }),
+      prisma.webhookDelivery.count({ where }),
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,380 @@
+const prisma = require("../config/database");
+const redis = require("../config/redis");
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+} = require("../utils/errors");
+
+// Workspace roles from least to most privileged
+const ROLES = ["VIEWER", "MEMBER", "ADMIN", "OWNER"];
+
+class WorkspaceService {
+  // Whether a role is at least as privileged as the minimum role
+  hasRole(role, minimumRole) {
+    return role != null && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+  }
+
+  // Where clause for the repositories a user reaches through workspace
+  // memberships. Repositories connected before workspaces existed stay
+  // with the user who connected them
+  repositoryAccessWhere(userId) {
+    return {
+      OR: [
+        { workspace: { memberships: { some: { userId } } } },
+        { workspaceId: null, userId },
+      ],
+    };
+  }
+
+  // Where clause for the analyses a user can see: those of the repositories
+  // they can access, plus their own uploads
+  analysisAccessWhere(userId) {
+    return {
+      OR: [
+        { repository: this.repositoryAccessWhere(userId) },
+        { repositoryId: null, userId },
+      ],
+    };
+  }
+
+  async canAccessRepository(repositoryId, userId) {
+    const count = await prisma.repository.count({
+      where: { id: repositoryId, ...this.repositoryAccessWhere(userId) },
+    });
+
+    return count > 0;
+  }
+
+  // Takes any object with the analysis' repositoryId and userId, so cached
+  // responses can be checked without loading the analysis
+  async canAccessAnalysis({ repositoryId, userId: ownerId }, userId) {
+    if (!repositoryId) {
+      return ownerId === userId;
+    }
+
+    return this.canAccessRepository(repositoryId, userId);
+  }
+
+  async getRole(workspaceId, userId) {
+    const membership = await prisma.membership.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId } },
+      select: { role: true },
+    });
+
+    return membership?.role || null;
+  }
+
+  // Map repository ids to the user's role for each repository, with one
+  // membership query. The user who connected a repository outside any
+  // workspace owns it
+  async getRepositoryRoles(repositories, userId) {
+    const workspaceIds = [
+      ...new Set(repositories.map((repo) => repo.workspaceId).filter(Boolean)),
+    ];
+    const memberships = workspaceIds.length
+      ? await prisma.membership.findMany({
+          where: { userId, workspaceId: { in: workspaceIds } },
+          select: { workspaceId: true, role: true },
+        })
+      : [];
+    const roles = new Map(memberships.map((m) => [m.workspaceId, m.role]));
+
+    const roleFor = (repo) => {
+      if (repo.workspaceId) return roles.get(repo.workspaceId) || null;
+      return repo.userId === userId ? "OWNER" : null;
+    };
+
+    return new Map(repositories.map((repo) => [repo.id, roleFor(repo)]));
+  }
+
+  async getRepositoryRole(repository, userId) {
+    const roles = await this.getRepositoryRoles([repository], userId);
+    return roles.get(repository.id);
+  }
+
+  // The user's role for an analysis is their role for its repository;
+  // uploads belong to the user who uploaded them
+  async getAnalysisRole(analysis, userId) {
+    if (!analysis.repository) {
+      return analysis.userId === userId ? "OWNER" : null;
+    }
+
+    return this.getRepositoryRole(analysis.repository, userId);
+  }
+
+  // Get the user's personal workspace, creating it on first use
+  async getPersonalWorkspace(userId) {
+    const membership = await prisma.membership.findFirst({
+      where: { userId, role: "OWNER", workspace: { isPersonal: true } },
+      include: { workspace: true },
+    });
+
+    if (membership) {
+      return membership.workspace;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { username: true },
+    });
+
+    return prisma.workspace.create({
+      data: {
+        name: user ? `${user.username}'s workspace` : "Personal workspace",
+        isPersonal: true,
+        memberships: { create: { userId, role: "OWNER" } },
+      },
+    });
+  }
+
+  // Get the caller's membership, hiding workspaces they don't belong to
+  async getMembership(workspaceId, userId) {
+    const membership = await prisma.membership.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId } },
+    });
+
+    if (!membership) {
+      throw new NotFoundError("Workspace not found");
+    }
+
+    return membership;
+  }
+
+  async getMemberIds(workspaceId) {
+    if (!workspaceId) return [];
+
+    const memberships = await prisma.membership.findMany({
+      where: { workspaceId },
+      select: { userId: true },
+    });
+
+    return memberships.map((membership) => membership.userId);
+  }
+
+  // Users who can see an analysis: the members of its repository's
+  // workspace, or the owner of a legacy repository or an upload
+  async getAnalysisViewerIds({ userId, repository }) {
+    if (!repository) return [userId];
+
+    return repository.workspaceId
+      ? this.getMemberIds(repository.workspaceId)
+      : [repository.userId];
+  }
+
+  async createWorkspace(userId, name) {
+    return prisma.workspace.create({
+      data: {
+        name,
+        memberships: { create: { userId, role: "OWNER" } },
+      },
+    });
+  }
+
+  async getUserWorkspaces(userId) {
+    // Make sure every user has somewhere to connect repositories
+    await this.getPersonalWorkspace(userId);
+
+    const memberships = await prisma.membership.findMany({
+      where: { userId },
+      orderBy: { createdAt: "asc" },
+      include: {
+        workspace: {
+          include: {
+            _count: { select: { memberships: true, repositories: true } },
+          },
+        },
+      },
+    });
+
+    return memberships.map(({ role, workspace }) => ({
+      id: workspace.id,
+      name: workspace.name,
+      isPersonal: workspace.isPersonal,
+      role,
+      memberCount: workspace._count.memberships,
+      repositoryCount: workspace._count.repositories,
+      createdAt: workspace.createdAt,
+    }));
+  }
+
+  async updateWorkspace(workspaceId, { name }) {
+    return prisma.workspace.update({
+      where: { id: workspaceId },
+      data: { name },
+    });
+  }
+
+  async getWorkspace(workspaceId, userId) {
+    const membership = await this.getMembership(workspaceId, userId);
+
+    const workspace = await prisma.workspace.findUnique({
+      where: { id: workspaceId },
+      include: {
+        memberships: {
+          orderBy: { createdAt: "asc" },
+          include: {
+            user: { select: { id: true, username: true, avatar: true } },
+          },
+        },
+        repositories: {
+          where: { isActive: true },
+          orderBy: { fullName: "asc" },
+          select: { id: true, name: true, fullName: true, provider: true },
+        },
+      },
+    });
+
+    return {
+      id: workspace.id,
+      name: workspace.name,
+      isPersonal: workspace.isPersonal,
+      role: membership.role,
+      members: workspace.memberships.map((member) => ({
+        userId: member.user.id,
+        username: member.user.username,
+        avatar: member.user.avatar,
+        role: member.role,
+        joinedAt: member.createdAt,
+      })),
+      repositories: workspace.repositories,
+      createdAt: workspace.createdAt,
+    };
+  }
+
+  // Only owners hand out or take away ownership
+  assertCanAssign(actor, role) {
+    if (role === "OWNER" && actor.role !== "OWNER") {
+      throw new AuthorizationError("Only owners can manage workspace owners");
+    }
+  }
+
+  // Make sure a change leaves the workspace with an owner
+  async assertNotLastOwner(member) {
+    if (member.role !== "OWNER") return;
+
+    const owners = await prisma.membership.count({
+      where: { workspaceId: member.workspaceId, role: "OWNER" },
+    });
+
+    if (owners === 1) {
+      throw new ValidationError("A workspace needs at least one owner");
+    }
+  }
+
+  async findMember(workspaceId, userId) {
+    const member = await prisma.membership.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId } },
+    });
+
+    if (!member) {
+      throw new NotFoundError("Member not found");
+    }
+
+    return member;
+  }
+
+  // Add a user who has signed in before to a workspace, found by username on
+  // a GitHub host or by verified email. `actor` is the caller's { userId, role },
+  // already allowed to manage the workspace
+  async addMember(workspaceId, actor, { githubHost, username, email, role }) {
+    this.assertCanAssign(actor, role);
+
+    const workspace = await prisma.workspace.findUnique({
+      where: { id: workspaceId },
+    });
+
+    if (workspace.isPersonal) {
+      throw new ValidationError("Personal workspaces can't be shared");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: email
+        ? { email: email.toLowerCase() }
+        : { githubHost_username: { githubHost, username } },
+    });
+
+    const name = username || email;
+
+    // Anyone can register an email address, so only a verified one
+    // identifies a user
+    if (!user || (email && !user.emailVerifiedAt)) {
+      throw new NotFoundError(
+        `User ${name} has not signed in to the code review app yet`
+      );
+    }
+
+    try {
+      const membership = await prisma.membership.create({
+        data: { workspaceId, userId: user.id, role },
+        include: { user: { select: { username: true, email: true } } },
+      });
+
+      await this.invalidateUserCaches(user.id);
+
+      return membership;
+    } catch (error) {
+      if (error.code === "P2002") {
+        throw new ValidationError(
+          `${name} is already a member of this workspace`
+        );
+      }
+      throw error;
+    }
+  }
+
+  // Change a member's role (workspace managers only)
+  async updateMemberRole(workspaceId, actor, memberId, role) {
+    const member = await this.findMember(workspaceId, memberId);
+
+    this.assertCanAssign(actor, member.role);
+    this.assertCanAssign(actor, role);
+
+    if (role !== "OWNER") {
+      await this.assertNotLastOwner(member);
+    }
+
+    const updated = await prisma.membership.update({
+      where: { id: member.id },
+      data: { role },
+    });
+
+    await this.invalidateUserCaches(memberId);
+
+    return updated;
+  }
+
+  // Remove a member; managers can remove others, anyone can leave
+  async removeMember(workspaceId, actor, memberId) {
+    if (actor.userId !== memberId && !this.hasRole(actor.role, "ADMIN")) {
+      throw new AuthorizationError(
+        "You need the ADMIN role in this workspace to remove members"
+      );
+    }
+
+    const member = await this.findMember(workspaceId, memberId);
+
+    if (actor.userId !== memberId) {
+      this.assertCanAssign(actor, member.role);
+    }
+
+    await this.assertNotLastOwner(member);
+
+    await prisma.membership.delete({ where: { id: member.id } });
+    await this.invalidateUserCaches(memberId);
+  }
+
+  // Drop the cached lists and stats of a user whose workspaces changed
+  async invalidateUserCaches(userId) {
+    const keys = [
+      ...(await redis.keys(`repos:${userId}:*`)),
+      ...(await redis.keys(`user:analyses:${userId}:*`)),
+      ...(await redis.keys(`analyses:user:${userId}:*`)),
+      ...(await redis.keys(`user:stats:${userId}:*`)),
+    ];
+
+    await redis.del(`user:stats:${userId}`, ...keys);
+  }
+}
+
+module.exports = new WorkspaceService();
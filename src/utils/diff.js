@@ -0,0 +1,408 @@
+// Matches unified diff hunk headers, e.g. "@@ -10,7 +10,8 @@ function foo()"
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Split a file patch into hunks with old/new line ranges
+ */
+const parseHunks = (patch) => {
+  if (!patch) return [];
+
+  const hunks = [];
+  let current = null;
+
+  patch.split("\n").forEach((line) => {
+    const header = line.match(HUNK_HEADER_PATTERN);
+
+    if (header) {
+      current = {
+        oldStart: parseInt(header[1]),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+        newStart: parseInt(header[3]),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+        header: line,
+        lines: [],
+      };
+      hunks.push(current);
+      return;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  return hunks;
+};
+
+/**
+ * Collect the new-file line numbers that appear in a patch (added or
+ * context lines). GitHub only accepts review comments on these lines.
+ */
+const getCommentableLines = (patch) => {
+  const lines = new Set();
+
+  parseHunks(patch).forEach((hunk) => {
+    let lineNumber = hunk.newStart;
+
+    hunk.lines.forEach((line) => {
+      // Skip removed lines and "\ No newline at end of file" markers
+      if (!line.startsWith("+") && !line.startsWith(" ")) {
+        return;
+      }
+
+      lines.add(lineNumber);
+      lineNumber++;
+    });
+  });
+
+  return lines;
+};
+
+/**
+ * Split a multi-file git diff (e.g. a compare diff) into per-file patches.
+ * Patches start at the first hunk header, like the GitHub files API.
+ * Returns a Map of new file path → { patch, binary }.
+ */
+const splitGitDiff = (diff) => {
+  const files = new Map();
+  if (!diff) return files;
+
+  diff.split(/^(?=diff --git )/m).forEach((section) => {
+    if (!section.startsWith("diff --git ")) return;
+
+    const lines = section.replace(/\n$/, "").split("\n");
+    const newPath = lines.find((line) => line.startsWith("+++ b/"));
+    const renameTo = lines.find((line) => line.startsWith("rename to "));
+    const header = lines[0].match(/^diff --git a\/.+ b\/(.+)$/);
+
+    const filename = newPath
+      ? newPath.slice("+++ b/".length)
+      : renameTo
+        ? renameTo.slice("rename to ".length)
+        : header?.[1];
+    if (!filename) return;
+
+    const firstHunk = lines.findIndex((line) => HUNK_HEADER_PATTERN.test(line));
+
+    files.set(filename, {
+      patch: firstHunk === -1 ? null : lines.slice(firstHunk).join("\n"),
+      binary: lines.some(
+        (line) =>
+          line.startsWith("Binary files ") || line === "GIT binary patch"
+      ),
+    });
+  });
+
+  return files;
+};
+
+/**
+ * Build a patch that adds a whole file, for new files without a patch
+ */
+const buildAdditionPatch = (content) => {
+  const lines = content.replace(/\n$/, "").split("\n");
+
+  return [
+    `@@ -0,0 +1,${lines.length} @@`,
+    ...lines.map((line) => `+${line}`),
+  ].join("\n");
+};
+
+/**
+ * Get the lines of a file surrounding each hunk of its patch, merging
+ * windows that overlap. Line numbers refer to the new version of the file.
+ */
+const getContextWindows = (content, patch, contextLines) => {
+  const fileLines = content.replace(/\n$/, "").split("\n");
+
+  const ranges = parseHunks(patch)
+    .map((hunk) => ({
+      start: Math.max(1, hunk.newStart - contextLines),
+      end: Math.min(
+        fileLines.length,
+        hunk.newStart + Math.max(hunk.newLines, 1) - 1 + contextLines
+      ),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const windows = [];
+  ranges.forEach((range) => {
+    const last = windows[windows.length - 1];
+
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else if (range.start <= range.end) {
+      windows.push({ ...range });
+    }
+  });
+
+  return windows.map((window) => ({
+    startLine: window.start,
+    endLine: window.end,
+    lines: fileLines.slice(window.start - 1, window.end),
+  }));
+};
+
+// git format-patch starts each message with "From <sha> Mon Sep 17 00:00:00 2001"
+const MBOX_SEPARATOR_PATTERN = /^From ([0-9a-f]{40}) /;
+
+// Strip the "a/" / "b/" prefixes and any timestamp from a ---/+++ path
+const parsePatchPath = (line) => {
+  const path = line.slice(4).split("\t")[0].trim();
+  if (path === "/dev/null") return null;
+  return path.replace(/^[ab]\//, "");
+};
+
+/**
+ * Parse the file sections of a unified diff, with or without git headers
+ * (git diff / format-patch as well as plain `diff -u` output). Hunk line
+ * counts are followed so removed lines that look like headers are kept.
+ */
+const parseDiffFiles = (diff) => {
+  const files = [];
+  let file = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const startFile = (fields) => {
+    file = {
+      filename: null,
+      previousFilename: null,
+      status: "modified",
+      binary: false,
+      hunks: [],
+      ...fields,
+    };
+    files.push(file);
+  };
+
+  const lines = diff.replace(/\r\n/g, "\n").split("\n");
+
+  lines.forEach((line, index) => {
+    // Inside a hunk every line belongs to it until its counts are used up
+    if (oldRemaining > 0 || newRemaining > 0) {
+      const hunk = file.hunks[file.hunks.length - 1];
+
+      if (line.startsWith("\\")) {
+        hunk.push(line);
+        return;
+      }
+
+      // Editors and mail clients strip the space of empty context lines
+      const marker = line[0] || " ";
+      if (marker === "-" || marker === " ") oldRemaining--;
+      if (marker === "+" || marker === " ") newRemaining--;
+      hunk.push(line || " ");
+      return;
+    }
+
+    if (line.startsWith("diff --git ")) {
+      const paths = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      startFile({ filename: paths?.[2] || null });
+      return;
+    }
+
+    if (line.startsWith("--- ") && lines[index + 1]?.startsWith("+++ ")) {
+      // Plain unified diffs have no "diff --git" line between files
+      if (!file || file.hunks.length > 0) {
+        startFile({});
+      }
+
+      const oldPath = parsePatchPath(line);
+      if (oldPath === null) {
+        file.status = "added";
+      } else {
+        file.previousFilename = file.previousFilename || oldPath;
+      }
+      return;
+    }
+
+    if (!file) return;
+
+    if (line.startsWith("+++ ")) {
+      const newPath = parsePatchPath(line);
+      if (newPath === null) {
+        file.status = "removed";
+        file.filename = file.filename || file.previousFilename;
+      } else {
+        file.filename = newPath;
+      }
+      return;
+    }
+
+    const header = line.match(HUNK_HEADER_PATTERN);
+    if (header) {
+      oldRemaining = header[2] === undefined ? 1 : parseInt(header[2]);
+      newRemaining = header[4] === undefined ? 1 : parseInt(header[4]);
+      file.hunks.push([line]);
+      return;
+    }
+
+    if (line.startsWith("new file mode")) {
+      file.status = "added";
+    } else if (line.startsWith("deleted file mode")) {
+      file.status = "removed";
+    } else if (line.startsWith("rename from ")) {
+      file.status = "renamed";
+      file.previousFilename = line.slice("rename from ".length);
+    } else if (line.startsWith("rename to ")) {
+      file.filename = line.slice("rename to ".length);
+    } else if (
+      line.startsWith("Binary files ") ||
+      line === "GIT binary patch"
+    ) {
+      file.binary = true;
+    }
+  });
+
+  return files
+    .filter((entry) => entry.filename)
+    .map((entry) => {
+      const patchLines = entry.hunks.flat();
+
+      return {
+        filename: entry.filename,
+        status: entry.status,
+        binary: entry.binary,
+        additions: patchLines.filter((line) => line.startsWith("+")).length,
+        deletions: patchLines.filter((line) => line.startsWith("-")).length,
+        patch: patchLines.length > 0 ? patchLines.join("\n") : null,
+        ...(entry.status === "renamed" && {
+          previous_filename: entry.previousFilename,
+        }),
+      };
+    });
+};
+
+/**
+ * Split a git format-patch mailbox into its messages. Plain diffs come back
+ * as a single message without a commit.
+ */
+const splitMbox = (text) => {
+  const normalized = text.replace(/\r\n/g, "\n");
+
+  if (!MBOX_SEPARATOR_PATTERN.test(normalized)) {
+    return [{ sha: null, subject: null, body: "", diff: normalized }];
+  }
+
+  return normalized
+    .split(/^(?=From [0-9a-f]{40} )/m)
+    .filter((message) => MBOX_SEPARATOR_PATTERN.test(message))
+    .map((message) => {
+      const lines = message.split("\n");
+      const headerEnd = lines.indexOf("", 1);
+      const headers = lines.slice(1, headerEnd === -1 ? undefined : headerEnd);
+
+      // Unfold continuation lines of long Subject headers
+      const subjectIndex = headers.findIndex((line) =>
+        /^subject:/i.test(line)
+      );
+      let subject = null;
+      if (subjectIndex !== -1) {
+        subject = headers[subjectIndex].replace(/^subject:\s*/i, "");
+        for (let i = subjectIndex + 1; /^\s/.test(headers[i] || ""); i++) {
+          subject += ` ${headers[i].trim()}`;
+        }
+        subject = subject.replace(/^\[[^\]]*PATCH[^\]]*\]\s*/i, "");
+      }
+
+      // The commit message ends at the "---" line before the diffstat
+      const content = headerEnd === -1 ? [] : lines.slice(headerEnd + 1);
+      const separator = content.indexOf("---");
+      const diffStart = content.findIndex(
+        (line) => line.startsWith("diff --git ") || line.startsWith("--- ")
+      );
+      const bodyEnd = [separator, diffStart]
+        .filter((index) => index !== -1)
+        .reduce((min, index) => Math.min(min, index), content.length);
+
+      return {
+        sha: message.match(MBOX_SEPARATOR_PATTERN)[1],
+        subject,
+        body: content.slice(0, bodyEnd).join("\n").trim(),
+        diff: diffStart === -1 ? "" : content.slice(diffStart).join("\n"),
+      };
+    });
+};
+
+/**
+ * Parse an uploaded unified diff or git format-patch mailbox into the
+ * { pr, files, skipped_files } shape the providers return. Files changed by
+ * several patches of a series are reviewed as one file with all hunks.
+ */
+const parseUploadedDiff = (text) => {
+  const messages = splitMbox(text);
+  const byName = new Map();
+
+  messages.forEach((message) => {
+    parseDiffFiles(message.diff).forEach((file) => {
+      const existing = byName.get(file.filename);
+
+      if (!existing) {
+        byName.set(file.filename, file);
+        return;
+      }
+
+      existing.additions += file.additions;
+      existing.deletions += file.deletions;
+      existing.binary = existing.binary || file.binary;
+      existing.patch = [existing.patch, file.patch].filter(Boolean).join("\n");
+      if (file.status === "removed") existing.status = "removed";
+    });
+  });
+
+  const files = [];
+  const skipped = [];
+
+  byName.forEach(({ binary, ...file }) => {
+    if (file.patch && file.status !== "removed") {
+      files.push(file);
+      return;
+    }
+
+    skipped.push({
+      filename: file.filename,
+      status: file.status,
+      reason: binary
+        ? "Binary file"
+        : file.status === "removed"
+          ? "File was removed"
+          : "No content changes",
+    });
+  });
+
+  // A cover letter ("[PATCH 0/n]") describes the whole series
+  const patches = messages.filter((message) => message.diff);
+  const described = messages.find((message) => message.subject) || {};
+  const headSha = patches[patches.length - 1]?.sha || null;
+
+  return {
+    pr: {
+      number: null,
+      title: described.subject || "Uploaded diff",
+      body:
+        patches.length > 1
+          ? patches.map((patch) => `- ${patch.subject}`).join("\n")
+          : described.body || null,
+      state: "uploaded",
+      commits: patches.filter((patch) => patch.sha).length,
+      additions: files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+      changed_files: files.length + skipped.length,
+      head: { sha: headSha, ref: null },
+      base: { sha: null, ref: null },
+    },
+    files,
+    skipped_files: skipped,
+  };
+};
+
+module.exports = {
+  parseHunks,
+  getCommentableLines,
+  splitGitDiff,
+  buildAdditionPatch,
+  getContextWindows,
+  parseDiffFiles,
+  parseUploadedDiff,
+};
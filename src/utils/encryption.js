@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+
+// Stored values look like `enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>`
+const PREFIX = "enc:v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+
+let keyring = null;
+
+/**
+ * Keys come from TOKEN_ENCRYPTION_KEYS as comma-separated `id:base64key`
+ * pairs of 32-byte keys. New values are encrypted with TOKEN_ENCRYPTION_KEY_ID
+ * (the first key by default); the others are kept to decrypt older values
+ * until they have been re-encrypted.
+ */
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  (process.env.TOKEN_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), "base64");
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(
+          "TOKEN_ENCRYPTION_KEYS entries must be `id:base64key` with 32-byte keys"
+        );
+      }
+
+      keys.set(id, key);
+    });
+
+  if (keys.size === 0) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not configured");
+  }
+
+  const currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(
+      `TOKEN_ENCRYPTION_KEY_ID "${currentKeyId}" is not in TOKEN_ENCRYPTION_KEYS`
+    );
+  }
+
+  keyring = { keys, currentKeyId };
+  return keyring;
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+// Id of the key a stored value was encrypted with (null for plaintext)
+const getKeyId = (value) => (isEncrypted(value) ? value.split(":")[2] : null);
+
+const encrypt = (plaintext) => {
+  const { keys, currentKeyId } = loadKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+
+  // Bind the ciphertext to its key id so it can't be relabelled
+  cipher.setAAD(Buffer.from(currentKeyId));
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX,
+    currentKeyId,
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    ciphertext.toString("base64url"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a stored value. Values written before encryption was enabled are
+ * returned as they are, so existing sessions keep working until they are
+ * re-encrypted.
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, , keyId, iv, authTag, ciphertext] = value.split(":");
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown token encryption key: ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64url")
+  );
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(Buffer.from(authTag, "base64url"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Whether a stored value is plaintext or uses a key other than the current one
+const needsReEncryption = (value) =>
+  getKeyId(value) !== loadKeyring().currentKeyId;
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyId,
+  needsReEncryption,
+};
@@ -34,6 +34,13 @@ class NotFoundError extends AppError {
   }
 }
 
+class RateLimitError extends AppError {
+  constructor(message = 'Rate limit exceeded', resumeAt = null) {
+    super(message, 429);
+    this.resumeAt = resumeAt;
+  }
+}
+
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
@@ -64,6 +71,12 @@ const errorHandler = (err, req, res, next) => {
     error = new AuthenticationError(message);
   }
 
+  // Body larger than the parser limit (e.g. an uploaded diff)
+  if (err.type === 'entity.too.large') {
+    const message = `Request body exceeds the ${Math.round(err.limit / 1024 / 1024)}mb limit`;
+    error = new AppError(message, 413);
+  }
+
   // Send error response
   res.status(error.statusCode || 500).json({
     success: false,
@@ -80,5 +93,6 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  RateLimitError,
   errorHandler
 };
\ No newline at end of file
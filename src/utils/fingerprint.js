@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+
+// Lowercase, mask numbers (line references shift) and drop punctuation
+const normalizeText = (text = "") =>
+  text
+    .toLowerCase()
+    .replace(/\d+/g, "#")
+    .replace(/[^\w#\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Indentation and blank lines don't change what a snippet points at
+const normalizeSnippet = (snippet = "") =>
+  snippet
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * Stable identity of a suggestion across analyses of the same PR. The line
+ * number is left out so findings survive code moving up or down the file.
+ */
+const getSuggestionFingerprint = (suggestion) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      [
+        suggestion.filePath,
+        normalizeText(suggestion.category),
+        normalizeText(suggestion.message),
+        normalizeSnippet(suggestion.codeSnippet || ""),
+      ].join("\n--\n")
+    )
+    .digest("hex");
+
+/**
+ * Classify suggestions of a newer analysis against an older one. Matching
+ * is one-to-one, so duplicated findings are counted individually.
+ */
+const diffSuggestions = (previousSuggestions, currentSuggestions) => {
+  const fingerprintOf = (s) => s.fingerprint || getSuggestionFingerprint(s);
+
+  const unmatched = new Map();
+  previousSuggestions.forEach((suggestion) => {
+    const key = fingerprintOf(suggestion);
+    unmatched.set(key, [...(unmatched.get(key) || []), suggestion]);
+  });
+
+  const added = [];
+  const persisting = [];
+
+  currentSuggestions.forEach((suggestion) => {
+    const previous = unmatched.get(fingerprintOf(suggestion))?.shift();
+
+    if (previous) {
+      persisting.push({ suggestion, previous });
+    } else {
+      added.push(suggestion);
+    }
+  });
+
+  return {
+    new: added,
+    resolved: [...unmatched.values()].flat(),
+    persisting,
+  };
+};
+
+module.exports = {
+  getSuggestionFingerprint,
+  diffSuggestions,
+};